@@ -20,9 +20,17 @@ class DesktopControls {
         // Physics
         this.velocity = new THREE.Vector3();
         this.direction = new THREE.Vector3();
-        this.speed = 100;
-        this.jumpSpeed = 150;
-        this.gravity = -300;
+        this.speed = 5;
+        this.jumpSpeed = 8;
+        this.gravity = -25;
+        
+        // Player size in blocks; the camera sits at eye height, and ledges up to the
+        // step height (slabs, stairs) are climbed without jumping
+        this.width = 0.6;
+        this.height = 1.8;
+        this.eyeHeight = 1.6;
+        this.stepHeight = 0.6;
+        this.feet = new THREE.Vector3();
         
         // Mouse look
         this.mouseSensitivity = 0.002;
@@ -31,6 +39,9 @@ class DesktopControls {
         this.pitchObject = new THREE.Object3D();
         this.yawObject = new THREE.Object3D();
         
+        // Block placed with right click, as an index into PlaceableBlocks
+        this.selectedBlock = 0;
+        
         // Pointer lock
         this.isLocked = false;
         
@@ -42,10 +53,9 @@ class DesktopControls {
     }
     
     init() {
-        // Setup camera hierarchy for proper rotation
+        // Yaw and pitch turn the player; the camera follows them every frame
         this.yawObject.position.copy(this.camera.position);
         this.yawObject.add(this.pitchObject);
-        this.pitchObject.add(this.camera);
         
         // Request pointer lock on click
         this.domElement.addEventListener('click', () => {
@@ -73,6 +83,7 @@ class DesktopControls {
         document.addEventListener('mousemove', (e) => this.onMouseMove(e));
         document.addEventListener('mousedown', (e) => this.onMouseDown(e));
         document.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        document.addEventListener('wheel', (e) => this.onWheel(e));
         
         // Prevent right click menu
         this.domElement.addEventListener('contextmenu', (e) => {
@@ -106,8 +117,16 @@ class DesktopControls {
                 break;
             case 'ShiftLeft':
             case 'ShiftRight':
-                this.speed = 150; // Sprint
+                this.speed = 7.5; // Sprint
                 break;
+            default:
+                // Number keys pick a block from the hotbar
+                if (/^Digit[1-9]$/.test(event.code)) {
+                    const index = parseInt(event.code.slice(5)) - 1;
+                    if (index < PlaceableBlocks.length) {
+                        this.selectBlock(index);
+                    }
+                }
         }
     }
     
@@ -131,7 +150,7 @@ class DesktopControls {
                 break;
             case 'ShiftLeft':
             case 'ShiftRight':
-                this.speed = 100; // Normal speed
+                this.speed = 5; // Normal speed
                 break;
         }
     }
@@ -171,6 +190,24 @@ class DesktopControls {
         // Handle mouse up events if needed
     }
     
+    onWheel(event) {
+        if (!this.isLocked || event.deltaY === 0) return;
+        this.selectBlock(this.selectedBlock + Math.sign(event.deltaY));
+    }
+    
+    selectBlock(index) {
+        const count = PlaceableBlocks.length;
+        this.selectedBlock = ((index % count) + count) % count;
+        
+        if (window.game && window.game.hud) {
+            window.game.hud.setSelectedBlock(this.getSelectedBlockType());
+        }
+    }
+    
+    getSelectedBlockType() {
+        return PlaceableBlocks[this.selectedBlock];
+    }
+    
     update(deltaTime) {
         if (!this.isLocked) return;
         
@@ -204,18 +241,44 @@ class DesktopControls {
         // Apply rotation to movement
         moveVector.applyQuaternion(this.yawObject.quaternion);
         
-        // Update position
-        this.yawObject.position.add(moveVector);
+        // Update position, stopping against blocks
+        this.move(moveVector);
         
-        // Simple ground collision
-        if (this.yawObject.position.y < 10) {
-            this.yawObject.position.y = 10;
-            this.velocity.y = 0;
-            this.canJump = true;
+        this.updateCamera();
+    }
+    
+    // Move the camera to the player's eyes, looking where the player looks
+    updateCamera() {
+        this.camera.position.copy(this.yawObject.position);
+        this.camera.quaternion.multiplyQuaternions(this.yawObject.quaternion, this.pitchObject.quaternion);
+    }
+    
+    // Moves the player's box through the world's blocks, or down to a flat floor without one
+    move(moveVector) {
+        const world = window.game && window.game.world;
+        if (!world) {
+            this.yawObject.position.add(moveVector);
+            
+            // Simple ground collision
+            if (this.yawObject.position.y < 10) {
+                this.yawObject.position.y = 10;
+                this.velocity.y = 0;
+                this.canJump = true;
+            }
+            return;
         }
         
-        // Update camera world position
-        this.camera.getWorldPosition(this.camera.position);
+        const fall = moveVector.y;
+        this.feet.copy(this.yawObject.position);
+        this.feet.y -= this.eyeHeight;
+        
+        this.canJump = world.moveBox(this.feet, moveVector, this.width, this.height, this.stepHeight);
+        if (moveVector.y !== fall) {
+            this.velocity.y = 0; // Landed or hit the ceiling
+        }
+        
+        this.yawObject.position.copy(this.feet);
+        this.yawObject.position.y += this.eyeHeight;
     }
     
     breakBlock() {
@@ -230,15 +293,14 @@ class DesktopControls {
             
             if (intersects.length > 0) {
                 const hit = intersects[0];
-                const point = hit.point.sub(hit.face.normal.multiplyScalar(0.5));
+                const world = window.game.world;
+                const cell = world.getTargetCells(hit.point, this.raycaster.ray.direction, hit.face.normal).hit;
+                
+                // Bedrock and other unbreakable blocks stay
+                if (!BlockRegistry.isBreakable(world.getBlockAt(cell.x, cell.y, cell.z))) return;
                 
                 // Remove block at position
-                window.game.world.setBlockAt(
-                    Math.floor(point.x),
-                    Math.floor(point.y),
-                    Math.floor(point.z),
-                    BlockType.AIR
-                );
+                world.setBlockAt(cell.x, cell.y, cell.z, BlockType.AIR);
             }
         }
     }
@@ -255,15 +317,17 @@ class DesktopControls {
             
             if (intersects.length > 0) {
                 const hit = intersects[0];
-                const point = hit.point.add(hit.face.normal.multiplyScalar(0.5));
+                const world = window.game.world;
+                const cell = world.getTargetCells(hit.point, this.raycaster.ray.direction, hit.face.normal).place;
+                if (!cell) return;
+                
+                // Turning blocks face by the clicked face or the way the player looks, and slabs
+                // and stairs go upside down against the upper half of a face
+                const type = this.getSelectedBlockType();
+                const state = BlockRegistry.getPlacementState(type, hit.face.normal, this.raycaster.ray.direction, hit.point);
                 
                 // Place block at position
-                window.game.world.setBlockAt(
-                    Math.floor(point.x),
-                    Math.floor(point.y),
-                    Math.floor(point.z),
-                    BlockType.STONE
-                );
+                world.setBlockAt(cell.x, cell.y, cell.z, type, state);
             }
         }
     }
@@ -274,6 +338,7 @@ class DesktopControls {
     
     setPosition(x, y, z) {
         this.yawObject.position.set(x, y, z);
+        this.updateCamera();
     }
     
     dispose() {
@@ -282,6 +347,7 @@ class DesktopControls {
         document.removeEventListener('mousemove', this.onMouseMove);
         document.removeEventListener('mousedown', this.onMouseDown);
         document.removeEventListener('mouseup', this.onMouseUp);
+        document.removeEventListener('wheel', this.onWheel);
     }
 }
 
@@ -15,11 +15,19 @@ class MobileControls {
         
         // Physics
         this.velocity = new THREE.Vector3();
-        this.speed = 50;
-        this.jumpSpeed = 100;
-        this.gravity = -200;
+        this.speed = 5;
+        this.jumpSpeed = 8;
+        this.gravity = -25;
         this.canJump = false;
         
+        // Player size in blocks; the camera sits at eye height, and ledges up to the
+        // step height (slabs, stairs) are climbed without jumping
+        this.width = 0.6;
+        this.height = 1.8;
+        this.eyeHeight = 1.6;
+        this.stepHeight = 0.6;
+        this.feet = new THREE.Vector3();
+        
         // Camera rotation
         this.pitch = 0;
         this.yaw = 0;
@@ -37,6 +45,10 @@ class MobileControls {
         this.joystickKnob = null;
         this.jumpButton = null;
         this.actionButton = null;
+        this.blockButton = null;
+        
+        // Block placed by the action button, as an index into PlaceableBlocks
+        this.selectedBlock = 0;
         
         // Joystick settings
         this.joystickRadius = 60;
@@ -44,16 +56,16 @@ class MobileControls {
     }
     
     init() {
-        // Setup camera hierarchy
+        // Yaw and pitch turn the player; the camera follows them every frame
         this.yawObject.position.copy(this.camera.position);
         this.yawObject.add(this.pitchObject);
-        this.pitchObject.add(this.camera);
         
         // Get UI elements
         this.joystick = document.getElementById('joystick');
         this.joystickKnob = document.getElementById('joystickKnob');
         this.jumpButton = document.getElementById('jumpButton');
         this.actionButton = document.getElementById('actionButton');
+        this.blockButton = document.getElementById('blockButton');
         
         // Setup touch controls
         this.setupTouchControls();
@@ -107,6 +119,15 @@ class MobileControls {
             }, { passive: false });
         }
         
+        // Block button cycles through the placeable blocks
+        if (this.blockButton) {
+            this.blockButton.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.selectBlock(this.selectedBlock + 1);
+                this.animateButton(this.blockButton);
+            }, { passive: false });
+        }
+        
         // Camera look controls (touch on canvas)
         const canvas = document.getElementById('gameCanvas');
         if (canvas) {
@@ -281,19 +302,45 @@ class MobileControls {
         movement.addScaledVector(forward, this.moveVector.y * this.speed * deltaTime);
         movement.addScaledVector(right, this.moveVector.x * this.speed * deltaTime);
         
-        // Apply movement
-        this.yawObject.position.add(movement);
-        this.yawObject.position.y += this.velocity.y * deltaTime;
+        // Apply movement, stopping against blocks
+        movement.y = this.velocity.y * deltaTime;
+        this.move(movement);
         
-        // Simple ground collision
-        if (this.yawObject.position.y < 10) {
-            this.yawObject.position.y = 10;
-            this.velocity.y = 0;
-            this.canJump = true;
+        this.updateCamera();
+    }
+    
+    // Move the camera to the player's eyes, looking where the player looks
+    updateCamera() {
+        this.camera.position.copy(this.yawObject.position);
+        this.camera.quaternion.multiplyQuaternions(this.yawObject.quaternion, this.pitchObject.quaternion);
+    }
+    
+    // Moves the player's box through the world's blocks, or down to a flat floor without one
+    move(movement) {
+        const world = window.game && window.game.world;
+        if (!world) {
+            this.yawObject.position.add(movement);
+            
+            // Simple ground collision
+            if (this.yawObject.position.y < 10) {
+                this.yawObject.position.y = 10;
+                this.velocity.y = 0;
+                this.canJump = true;
+            }
+            return;
         }
         
-        // Update camera world position
-        this.camera.getWorldPosition(this.camera.position);
+        const fall = movement.y;
+        this.feet.copy(this.yawObject.position);
+        this.feet.y -= this.eyeHeight;
+        
+        this.canJump = world.moveBox(this.feet, movement, this.width, this.height, this.stepHeight);
+        if (movement.y !== fall) {
+            this.velocity.y = 0; // Landed or hit the ceiling
+        }
+        
+        this.yawObject.position.copy(this.feet);
+        this.yawObject.position.y += this.eyeHeight;
     }
     
     breakBlock() {
@@ -309,15 +356,14 @@ class MobileControls {
             
             if (intersects.length > 0) {
                 const hit = intersects[0];
-                const point = hit.point.sub(hit.face.normal.multiplyScalar(0.5));
+                const world = window.game.world;
+                const cell = world.getTargetCells(hit.point, raycaster.ray.direction, hit.face.normal).hit;
+                
+                // Bedrock and other unbreakable blocks stay
+                if (!BlockRegistry.isBreakable(world.getBlockAt(cell.x, cell.y, cell.z))) return;
                 
                 // Remove block at position
-                window.game.world.setBlockAt(
-                    Math.floor(point.x),
-                    Math.floor(point.y),
-                    Math.floor(point.z),
-                    BlockType.AIR
-                );
+                world.setBlockAt(cell.x, cell.y, cell.z, BlockType.AIR);
                 
                 // Haptic feedback if available
                 if (window.navigator.vibrate) {
@@ -327,6 +373,19 @@ class MobileControls {
         }
     }
     
+    selectBlock(index) {
+        const count = PlaceableBlocks.length;
+        this.selectedBlock = ((index % count) + count) % count;
+        
+        if (window.game && window.game.hud) {
+            window.game.hud.setSelectedBlock(this.getSelectedBlockType());
+        }
+    }
+    
+    getSelectedBlockType() {
+        return PlaceableBlocks[this.selectedBlock];
+    }
+    
     placeBlock() {
         // Cast ray from camera center
         const raycaster = new THREE.Raycaster();
@@ -340,15 +399,17 @@ class MobileControls {
             
             if (intersects.length > 0) {
                 const hit = intersects[0];
-                const point = hit.point.add(hit.face.normal.multiplyScalar(0.5));
+                const world = window.game.world;
+                const cell = world.getTargetCells(hit.point, raycaster.ray.direction, hit.face.normal).place;
+                if (!cell) return;
+                
+                // Turning blocks face by the clicked face or the way the player looks, and slabs
+                // and stairs go upside down against the upper half of a face
+                const type = this.getSelectedBlockType();
+                const state = BlockRegistry.getPlacementState(type, hit.face.normal, raycaster.ray.direction, hit.point);
                 
                 // Place block at position
-                window.game.world.setBlockAt(
-                    Math.floor(point.x),
-                    Math.floor(point.y),
-                    Math.floor(point.z),
-                    BlockType.STONE
-                );
+                world.setBlockAt(cell.x, cell.y, cell.z, type, state);
                 
                 // Haptic feedback if available
                 if (window.navigator.vibrate) {
@@ -372,6 +433,7 @@ class MobileControls {
     
     setPosition(x, y, z) {
         this.yawObject.position.set(x, y, z);
+        this.updateCamera();
     }
     
     dispose() {
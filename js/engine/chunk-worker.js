@@ -0,0 +1,245 @@
+/**
+ * VoxelCraft Optimized - Chunk Worker
+ * Generates, lights and meshes a single chunk off the main thread
+ */
+
+'use strict';
+
+// Game modules export themselves on `window`
+self.window = self;
+
+importScripts(
+    'optimization.js',
+    'voxel-storage.js',
+    'texture-atlas.js',
+    'chunk.js',
+    '../world/block.js',
+    '../world/biome.js',
+    '../world/lighting.js',
+    '../world/terrain.js'
+);
+
+// One generator per seed, reused across jobs
+let generator = null;
+
+function getGenerator(seed, params) {
+    if (!generator || generator.seed !== seed) {
+        generator = new TerrainGenerator(seed);
+    }
+    Object.assign(generator.params, params);
+    return generator;
+}
+
+// Minimal stand-in for Chunk; the real one needs THREE for its bounding box
+function createVolume(x, y, z, size) {
+    const voxels = new VoxelStorage(size);
+    
+    return {
+        x, y, z, size, voxels,
+        isEmpty: true,
+        needsUpdate: true,
+        light: null,
+        neighbors: {},
+        
+        createLightBuffer() {
+            return new Uint16Array(size * size * size);
+        },
+        
+        getVoxel(lx, ly, lz) {
+            if (lx < 0 || lx >= size || ly < 0 || ly >= size || lz < 0 || lz >= size) {
+                return 0;
+            }
+            return voxels.get(lx + ly * size + lz * size * size);
+        },
+        
+        setVoxel(lx, ly, lz, type) {
+            if (lx < 0 || lx >= size || ly < 0 || ly >= size || lz < 0 || lz >= size) {
+                return false;
+            }
+            voxels.set(lx + ly * size + lz * size * size, type);
+            if (type !== 0) {
+                this.isEmpty = false;
+            }
+            return true;
+        }
+    };
+}
+
+// Blocks registered on the main thread after the built-ins. The list only grows, so
+// each job replays the entries this worker hasn't seen yet.
+let registeredBlocks = 0;
+
+function syncBlocks(changes) {
+    for (; registeredBlocks < changes.length; registeredBlocks++) {
+        const [id, definition] = changes[registeredBlocks];
+        BlockRegistry.register(id, definition);
+    }
+}
+
+// Light the chunk as LightEngine.initChunk does on the main thread, from the border
+// layers of the lit neighbors in job.light. The neighbors only exist as those layers,
+// walled in with stone behind them: light spills into the layers, where the mesh looks
+// at it, but goes no further. Returns the layers as lit; the main thread carries the
+// light on through the real neighbors when the chunk arrives.
+function lightVolume(volume, job) {
+    const size = volume.size;
+    
+    BlockRegistry.FACES.forEach((face, dir) => {
+        const layer = job.light[dir];
+        if (!layer) return;
+        
+        const types = new Uint16Array(size * size * size).fill(BlockType.STONE);
+        const light = new Uint16Array(size * size * size);
+        LightEngine.getBorderIndices(size, dir ^ 1).forEach((index, i) => {
+            types[index] = layer.voxels[i];
+            light[index] = layer.light[i];
+        });
+        
+        volume.neighbors[face] = {
+            size, light,
+            voxels: { get: index => types[index] },
+            neighbors: { [BlockRegistry.OPPOSITE_FACES[face]]: volume }
+        };
+    });
+    
+    new LightEngine({ maxChunkY: job.maxChunkY }).initChunk(volume);
+    
+    return BlockRegistry.FACES.map((face, dir) => {
+        const neighbor = volume.neighbors[face];
+        if (!neighbor) return null;
+        return Uint16Array.from(LightEngine.getBorderIndices(size, dir ^ 1), index => neighbor.light[index]);
+    });
+}
+
+// Packed light at local coordinates, one step outside the chunk at most, as
+// Chunk.sampleLight reads it
+function sampleLight(volume, x, y, z) {
+    const size = volume.size;
+    const coords = [x, y, z];
+    let neighbor = volume;
+    
+    for (let axis = 0; axis < 3; axis++) {
+        if (coords[axis] < 0 || coords[axis] >= size) {
+            if (neighbor !== volume) return LightEngine.OPEN_SKY;
+            neighbor = volume.neighbors[BlockRegistry.FACES[axis * 2 + (coords[axis] < 0 ? 0 : 1)]];
+            if (!neighbor) return LightEngine.OPEN_SKY;
+            coords[axis] = (coords[axis] + size) % size;
+        }
+    }
+    return neighbor.light[coords[0] + coords[1] * size + coords[2] * size * size];
+}
+
+function generate(job) {
+    syncBlocks(job.blocks || []);
+    const terrain = getGenerator(job.seed, job.params);
+    const size = job.size;
+    
+    const volume = createVolume(job.x, job.y, job.z, size);
+    terrain.generateChunk(volume);
+    terrain.generateDecorations(volume);
+    
+    const borderLight = job.light ? lightVolume(volume, job) : null;
+    const result = {
+        voxels: volume.voxels.serialize(),
+        isEmpty: volume.isEmpty,
+        mesh: null,
+        connectivity: null,
+        light: volume.light,
+        borderLight,
+        lodLevel: job.lodLevel
+    };
+    if (volume.isEmpty) return result;
+    
+    result.connectivity = Chunk.computeConnectivity(size, (x, y, z) => volume.getVoxel(x, y, z));
+    
+    // Border faces need the neighbors' voxels, which the job brings in a one-voxel shell
+    // for the neighbors generated so far. The rest of the shell is regenerated as bare
+    // terrain; those neighbors mark this chunk for a rebuild when they arrive, so their
+    // trees only miss from the mesh until then. LOD meshes look at the neighbors through
+    // job.lodBorders instead.
+    const padded = size + 2;
+    let shell = null;
+    let shellStates = null;
+    if (job.lodLevel === 0) {
+        const border = job.border || {
+            voxels: new Uint16Array(padded * padded * padded),
+            states: new Uint16Array(padded * padded * padded),
+            known: new Uint8Array(27)
+        };
+        shell = border.voxels;
+        shellStates = border.states;
+        
+        // Neighbor slot of a shell coordinate, as in ChunkManager.getBorderShell. Slot 13
+        // is the chunk itself.
+        const slot = c => (c === 0 ? 0 : (c === padded - 1 ? 2 : 1));
+        if (border.known.some((known, index) => !known && index !== 13)) {
+            terrain.fillRegion(
+                job.x * size - 1,
+                job.y * size - 1,
+                job.z * size - 1,
+                padded,
+                (x, y, z, type) => {
+                    if (!border.known[slot(x) + slot(y) * 3 + slot(z) * 9]) {
+                        shell[x + y * padded + z * padded * padded] = type;
+                    }
+                }
+            );
+        }
+    }
+    
+    const inside = (x, y, z) => x >= 0 && x < size && y >= 0 && y < size && z >= 0 && z < size;
+    const getVoxel = (x, y, z) => {
+        if (inside(x, y, z)) {
+            return volume.voxels.get(x + y * size + z * size * size);
+        }
+        return shell ? shell[(x + 1) + (y + 1) * padded + (z + 1) * padded * padded] : 0;
+    };
+    const getState = (x, y, z) => {
+        if (inside(x, y, z) || !shellStates) return 0;
+        return shellStates[(x + 1) + (y + 1) * padded + (z + 1) * padded * padded];
+    };
+    
+    // Distant LOD meshes are left unlit, as on the main thread
+    const getLight = volume.light && job.lodLevel === 0 ? (x, y, z) => sampleLight(volume, x, y, z) : null;
+    
+    result.mesh = Chunk.meshVoxels(size, getVoxel, job.lodLevel, getLight, getState, job.lodBorders);
+    
+    return result;
+}
+
+self.onmessage = (e) => {
+    const job = e.data;
+    
+    try {
+        switch (job.type) {
+            case 'generate': {
+                const result = generate(job);
+                const transfer = [result.voxels.runs.buffer];
+                if (result.connectivity) {
+                    transfer.push(result.connectivity.buffer);
+                }
+                if (result.light) {
+                    transfer.push(result.light.buffer);
+                }
+                if (result.mesh) {
+                    [result.mesh.opaque, result.mesh.translucent].forEach(layer => {
+                        transfer.push(
+                            layer.positions.buffer,
+                            layer.normals.buffer,
+                            layer.colors.buffer,
+                            layer.uvs.buffer,
+                            layer.tiles.buffer,
+                            layer.indices.buffer
+                        );
+                    });
+                }
+                self.postMessage(result, transfer);
+                break;
+            }
+            default:
+                self.postMessage({ error: `Unknown job type: ${job.type}` });
+        }
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
@@ -5,32 +5,46 @@
 
 'use strict';
 
-// Chunk class for managing voxel data
+// Shared mesher; meshing is synchronous so one scratch mask serves every chunk
+let sharedMesher = null;
+
+// Materials shared by every chunk mesh, created on first use, and the texture atlas
+// they draw block faces from
+const sharedMaterials = {
+    opaque: null,
+    translucent: null,
+    atlas: null
+};
+
+// Chunk class for managing voxel data.
+// Chunks are recycled through the ChunkManager's pool: reset() clears one for reuse and
+// place() moves it to new chunk coordinates, keeping its buffers and meshes.
 class Chunk {
     constructor(x, y, z, size = 16) {
-        this.x = x;
-        this.y = y;
-        this.z = z;
         this.size = size;
-        this.id = `${x}_${y}_${z}`;
         
-        // Voxel data - using Uint8Array for memory efficiency
-        this.voxels = new Uint8Array(size * size * size);
+        // Voxel data, kept as a single block type or a bit-packed palette
+        this.voxels = new VoxelStorage(size);
         
-        // Mesh data
+        // Block state next to each voxel (orientation, variants); 0 almost everywhere,
+        // so it usually stays a single value
+        this.states = new VoxelStorage(size);
+        
+        // Mesh data: opaque blocks, and translucent blocks (water, leaves) drawn after them
         this.mesh = null;
+        this.translucentMesh = null;
         this.geometry = null;
-        this.needsUpdate = true;
-        this.isEmpty = true;
+        this.translucentQuads = null;
+        this.sortedFrom = null;
         
-        // Bounding box for culling
-        this.boundingBox = new THREE.Box3(
-            new THREE.Vector3(x * size, y * size, z * size),
-            new THREE.Vector3((x + 1) * size, (y + 1) * size, (z + 1) * size)
-        );
+        // Meshes kept out of the scene while the chunk has nothing to draw, so their
+        // geometry buffers can be filled again later
+        this.spareMesh = null;
+        this.spareTranslucentMesh = null;
         
+        // Bounding box for culling
+        this.boundingBox = new THREE.Box3();
         this.center = new THREE.Vector3();
-        this.boundingBox.getCenter(this.center);
         
         // Neighbor references
         this.neighbors = {
@@ -42,9 +56,95 @@ class Chunk {
             back: null
         };
         
+        // Packed sky and block light per voxel, filled in by the LightEngine
+        this.light = null;
+        this.spareLight = null;
+        
+        // Bumped on every reuse, so async work started for an earlier chunk can tell
+        this.version = 0;
+        
+        this.reset();
+        this.place(x, y, z);
+    }
+    
+    // Clear all per-chunk state, keeping allocated buffers for the next use
+    reset() {
+        this.version++;
+        this.voxels.fill(0);
+        this.states.fill(0);
+        
+        this.stashMesh(false);
+        this.stashMesh(true);
+        this.geometry = null;
+        this.translucentQuads = null;
+        this.sortedFrom = null;
+        this.needsUpdate = true;
+        this.isEmpty = true;
+        this.isGenerated = false;
+        
+        Object.keys(this.neighbors).forEach(face => {
+            this.neighbors[face] = null;
+        });
+        
         // LOD level
         this.lodLevel = 0;
         this.distance = Infinity;
+        
+        // Inside the camera frustum this frame
+        this.inFrustum = true;
+        
+        // Face-to-face visibility through open voxels, null while unknown or all air
+        this.connectivity = null;
+        
+        // Hidden behind solid terrain this frame
+        this.occluded = false;
+        
+        // Edited by the player, so it is saved when unloaded
+        this.modified = false;
+        
+        // Worker output waiting for its turn in the build queue
+        this.pendingResult = null;
+        
+        // A neighbor arrived or changed next to this chunk while its worker job ran, so
+        // the worker's mesh saw old borders
+        this.bordersChanged = false;
+        
+        if (this.light) {
+            this.spareLight = this.light;
+            this.light = null;
+        }
+    }
+    
+    // Move the chunk to chunk coordinates
+    place(x, y, z) {
+        const size = this.size;
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.id = `${x}_${y}_${z}`;
+        
+        this.boundingBox.min.set(x * size, y * size, z * size);
+        this.boundingBox.max.set((x + 1) * size, (y + 1) * size, (z + 1) * size);
+        this.boundingBox.getCenter(this.center);
+        
+        [this.spareMesh, this.spareTranslucentMesh].forEach(mesh => {
+            if (mesh) {
+                mesh.position.set(x * size, y * size, z * size);
+                mesh.updateMatrix();
+            }
+        });
+    }
+    
+    // A zeroed light array, reusing the one from the chunk's previous use
+    createLightBuffer() {
+        const volume = this.size * this.size * this.size;
+        const buffer = this.spareLight;
+        this.spareLight = null;
+        
+        if (buffer && buffer.length === volume) {
+            return buffer.fill(0);
+        }
+        return new Uint16Array(volume);
     }
     
     // Get voxel at local coordinates
@@ -55,12 +155,27 @@ class Chunk {
             return 0;
         }
         
-        const index = x + y * this.size + z * this.size * this.size;
-        return this.voxels[index];
+        return this.voxels.get(x + y * this.size + z * this.size * this.size);
     }
     
-    // Set voxel at local coordinates
-    setVoxel(x, y, z, type) {
+    // Get block state at local coordinates
+    getState(x, y, z) {
+        if (x < 0 || x >= this.size || 
+            y < 0 || y >= this.size || 
+            z < 0 || z >= this.size) {
+            return 0;
+        }
+        
+        return this.states.get(x + y * this.size + z * this.size * this.size);
+    }
+    
+    // Whether any voxel has a block state other than 0
+    hasStates() {
+        return !this.states.isUniform || this.states.value !== 0;
+    }
+    
+    // Set voxel and its block state at local coordinates
+    setVoxel(x, y, z, type, state = 0) {
         if (x < 0 || x >= this.size || 
             y < 0 || y >= this.size || 
             z < 0 || z >= this.size) {
@@ -68,7 +183,8 @@ class Chunk {
         }
         
         const index = x + y * this.size + z * this.size * this.size;
-        this.voxels[index] = type;
+        this.voxels.set(index, type);
+        this.states.set(index, state);
         this.needsUpdate = true;
         
         if (type !== 0) {
@@ -78,197 +194,598 @@ class Chunk {
         return true;
     }
     
+    // Get voxel at local coordinates, following neighbor links outside this chunk
+    sampleVoxel(x, y, z) {
+        const size = this.size;
+        let neighbor = null;
+        
+        if (x < 0) { neighbor = this.neighbors.left; x += size; }
+        else if (x >= size) { neighbor = this.neighbors.right; x -= size; }
+        else if (y < 0) { neighbor = this.neighbors.bottom; y += size; }
+        else if (y >= size) { neighbor = this.neighbors.top; y -= size; }
+        else if (z < 0) { neighbor = this.neighbors.back; z += size; }
+        else if (z >= size) { neighbor = this.neighbors.front; z -= size; }
+        else return this.getVoxel(x, y, z);
+        
+        // Treat missing neighbors as air so border faces still render
+        return neighbor ? neighbor.sampleVoxel(x, y, z) : 0;
+    }
+    
+    // Get block state at local coordinates, following neighbor links like sampleVoxel
+    sampleState(x, y, z) {
+        const size = this.size;
+        let neighbor = null;
+        
+        if (x < 0) { neighbor = this.neighbors.left; x += size; }
+        else if (x >= size) { neighbor = this.neighbors.right; x -= size; }
+        else if (y < 0) { neighbor = this.neighbors.bottom; y += size; }
+        else if (y >= size) { neighbor = this.neighbors.top; y -= size; }
+        else if (z < 0) { neighbor = this.neighbors.back; z += size; }
+        else if (z >= size) { neighbor = this.neighbors.front; z -= size; }
+        else return this.getState(x, y, z);
+        
+        return neighbor ? neighbor.sampleState(x, y, z) : 0;
+    }
+    
+    // Get packed light at local coordinates, following neighbor links like sampleVoxel
+    sampleLight(x, y, z) {
+        const size = this.size;
+        let neighbor = null;
+        
+        if (x < 0) { neighbor = this.neighbors.left; x += size; }
+        else if (x >= size) { neighbor = this.neighbors.right; x -= size; }
+        else if (y < 0) { neighbor = this.neighbors.bottom; y += size; }
+        else if (y >= size) { neighbor = this.neighbors.top; y -= size; }
+        else if (z < 0) { neighbor = this.neighbors.back; z += size; }
+        else if (z >= size) { neighbor = this.neighbors.front; z -= size; }
+        else return this.light ? this.light[x + y * size + z * size * size] : LightEngine.OPEN_SKY;
+        
+        // Above the world, or not lit yet: assume daylight until the neighbor's light arrives
+        return neighbor ? neighbor.sampleLight(x, y, z) : LightEngine.OPEN_SKY;
+    }
+    
     // Check if face should be rendered (not facing another solid block)
     shouldRenderFace(x, y, z, face) {
-        let neighborX = x, neighborY = y, neighborZ = z;
+        const offsets = {
+            left: [-1, 0, 0],
+            right: [1, 0, 0],
+            bottom: [0, -1, 0],
+            top: [0, 1, 0],
+            back: [0, 0, -1],
+            front: [0, 0, 1]
+        };
+        const [dx, dy, dz] = offsets[face];
         
-        switch(face) {
-            case 'left': neighborX--; break;
-            case 'right': neighborX++; break;
-            case 'bottom': neighborY--; break;
-            case 'top': neighborY++; break;
-            case 'back': neighborZ--; break;
-            case 'front': neighborZ++; break;
-        }
+        return Chunk.isFaceVisible(
+            this.getVoxel(x, y, z),
+            this.sampleVoxel(x + dx, y + dy, z + dz),
+            face,
+            this.sampleState(x + dx, y + dy, z + dz)
+        );
+    }
+    
+    // Face culling rule between a block and the block it touches. Opaque neighbors hide
+    // the face, and so do neighbors of the same transparent type, so the inside of a lake
+    // or a leaf canopy is not drawn while the lake bed under the water still is. Slabs,
+    // stairs, shallow water and other shapes hide a face, or the part of it given by
+    // `rect`, only where their own side covers it.
+    static isFaceVisible(type, neighborType, face = null, neighborState = 0, rect = null) {
+        if (neighborType === 0) return true;
+        if (Chunk.isOpaque(neighborType)) return false;
         
-        // Check if neighbor is outside chunk
-        if (neighborX < 0 || neighborX >= this.size ||
-            neighborY < 0 || neighborY >= this.size ||
-            neighborZ < 0 || neighborZ >= this.size) {
-            
-            // Check neighbor chunk
-            const neighborChunk = this.getNeighborChunk(face);
-            if (neighborChunk) {
-                // Convert to neighbor chunk's local coordinates
-                const localX = (neighborX + this.size) % this.size;
-                const localY = (neighborY + this.size) % this.size;
-                const localZ = (neighborZ + this.size) % this.size;
-                
-                return neighborChunk.getVoxel(localX, localY, localZ) === 0;
-            }
-            return true; // Render if no neighbor chunk
+        if (face !== null && BlockRegistry.getShape(neighborType, neighborState)) {
+            if (neighborType !== type && BlockRegistry.isTransparent(neighborType)) return true;
+            return !BlockRegistry.coversFace(neighborType, neighborState, BlockRegistry.OPPOSITE_FACES[face], rect);
         }
-        
-        // Check within same chunk
-        return this.getVoxel(neighborX, neighborY, neighborZ) === 0;
+        return neighborType !== type;
+    }
+    
+    static isOpaque(type) {
+        return BlockRegistry.isOpaque(type);
+    }
+    
+    // Transparent blocks are meshed into the translucent layer
+    static isTranslucent(type) {
+        return BlockRegistry.isTransparent(type);
     }
     
     getNeighborChunk(face) {
         return this.neighbors[face];
     }
     
-    // Generate simple mesh without greedy meshing for now
+    // Generate mesh with greedy meshing, merging faces of the same type and direction
     generateMesh() {
         if (this.isEmpty) {
-            if (this.mesh) {
-                this.mesh.geometry.dispose();
-                this.mesh = null;
+            this.connectivity = null;
+            return this.clearMesh();
+        }
+        
+        this.connectivity = Chunk.computeConnectivity(this.size, (x, y, z) => this.getVoxel(x, y, z));
+        
+        // Distant LOD meshes are left unlit
+        const data = Chunk.meshVoxels(
+            this.size,
+            (x, y, z) => this.sampleVoxel(x, y, z),
+            this.lodLevel,
+            this.light && this.lodLevel === 0 ? (x, y, z) => this.sampleLight(x, y, z) : null,
+            (x, y, z) => this.sampleState(x, y, z),
+            this.getLodBorders()
+        );
+        return this.applyMeshData(data);
+    }
+    
+    // What each generated neighbor draws along the face it shares with this chunk, at the
+    // neighbor's own LOD, for Chunk.meshVoxels. Null between two full-detail chunks,
+    // whose voxels are compared directly.
+    getLodBorders() {
+        return BlockRegistry.FACES.map((face, dir) => {
+            const neighbor = this.neighbors[face];
+            if (!neighbor || !neighbor.isGenerated) return null;
+            if (this.lodLevel === 0 && neighbor.lodLevel === 0) return null;
+            
+            const step = 1 << neighbor.lodLevel;
+            return {
+                step,
+                cells: Chunk.downsampleFace(this.size, step, dir ^ 1, (x, y, z) => neighbor.getVoxel(x, y, z))
+            };
+        });
+    }
+    
+    // Which chunk faces can see each other through the voxels; see OcclusionCuller
+    static computeConnectivity(size, getVoxel) {
+        return OptimizationUtils.OcclusionCuller.computeConnectivity(
+            size,
+            (x, y, z) => !Chunk.isOpaque(getVoxel(x, y, z))
+        );
+    }
+    
+    // Mesh voxel data with the chunk face rules. Needs no THREE, so workers use it too.
+    // Above LOD 0 the voxels are downsampled into cells of 2^lodLevel voxels per side.
+    // getLight is optional; without it faces are drawn in full daylight. getState is
+    // optional too; without it every block is unturned. Block shapes and states are only
+    // drawn at LOD 0, further away every block is a cube and plants are left out.
+    // borders, from getLodBorders, tell what the neighbors draw where their LOD differs,
+    // so border faces are culled against what is really on screen: a face is hidden
+    // only where the neighbor's cells cover all of it, and a full-detail face is drawn
+    // wherever a coarser neighbor leaves a gap. Without a border entry a downsampled
+    // chunk closes that side as if it faced air.
+    static meshVoxels(size, getVoxel, lodLevel = 0, getLight = null, getState = null, borders = null) {
+        if (!sharedMesher) {
+            sharedMesher = new OptimizationUtils.GreedyMesher();
+        }
+        
+        let gridSize = size;
+        let scale = 1;
+        let sample = getVoxel;
+        
+        if (lodLevel > 0) {
+            scale = 1 << lodLevel;
+            gridSize = size / scale;
+            
+            const cells = Chunk.downsample(size, scale, getVoxel);
+            sample = (x, y, z) => {
+                if (x < 0 || x >= gridSize || y < 0 || y >= gridSize || z < 0 || z >= gridSize) {
+                    return Math.max(0, Chunk.sampleBorder(borders, size, scale, x, y, z));
+                }
+                return cells[x + y * gridSize + z * gridSize * gridSize];
+            };
+        } else if (borders && borders.some(border => border)) {
+            sample = (x, y, z) => {
+                const type = getVoxel(x, y, z);
+                if (type === 0 || (x >= 0 && x < size && y >= 0 && y < size && z >= 0 && z < size)) {
+                    return type;
+                }
+                return Chunk.sampleBorder(borders, size, 1, x, y, z) === 0 ? 0 : type;
+            };
+        }
+        
+        return sharedMesher.mesh(gridSize, {
+            getVoxel: sample,
+            isFaceVisible: Chunk.isFaceVisible,
+            isTranslucent: Chunk.isTranslucent,
+            getFaceColor: Chunk.getBlockColor,
+            getFaceTile: Chunk.getFaceTile,
+            getState: getState && lodLevel === 0 ? getState : undefined,
+            getFaceUV: BlockRegistry.getFaceUVTransform,
+            hasShape: lodLevel === 0 ? BlockRegistry.hasShape : undefined,
+            getShape: BlockRegistry.getShape,
+            isOccluder: Chunk.isOpaque,
+            getLight: getLight || undefined,
+            getLightColor: getLight ? LightEngine.getLightColor : undefined
+        }, scale);
+    }
+    
+    // Reduce voxels to cells of step^3. A cell is filled when at least half of its voxels
+    // are, and takes the type of its topmost block so grass still reads as grass from afar.
+    // Plants are too small to count.
+    static downsample(size, step, getVoxel) {
+        const gridSize = size / step;
+        const cells = new Uint16Array(gridSize * gridSize * gridSize);
+        
+        for (let cz = 0; cz < gridSize; cz++) {
+            for (let cy = 0; cy < gridSize; cy++) {
+                for (let cx = 0; cx < gridSize; cx++) {
+                    cells[cx + cy * gridSize + cz * gridSize * gridSize] =
+                        Chunk.downsampleCell(step, cx, cy, cz, getVoxel);
+                }
             }
-            return null;
         }
         
-        const vertices = [];
-        const normals = [];
-        const uvs = [];
-        const colors = [];
+        return cells;
+    }
+    
+    // The one layer of cells along a chunk face, as downsample makes them, indexed by
+    // the face's two other axes in GreedyMesher order: axis (d + 1) % 3 runs fastest.
+    // dir is the face in BlockRegistry.FACES order.
+    static downsampleFace(size, step, dir, getVoxel) {
+        const gridSize = size / step;
+        const cells = new Uint16Array(gridSize * gridSize);
+        const d = dir >> 1;
+        const cell = [0, 0, 0];
+        cell[d] = dir & 1 ? gridSize - 1 : 0;
         
-        // Simple block-by-block rendering
-        for (let x = 0; x < this.size; x++) {
-            for (let y = 0; y < this.size; y++) {
-                for (let z = 0; z < this.size; z++) {
-                    const voxel = this.getVoxel(x, y, z);
-                    if (voxel === 0) continue; // Skip air blocks
-                    
-                    // Get block color based on type
-                    const blockColor = this.getBlockColor(voxel);
-                    
-                    // Check each face
-                    const faces = [
-                        { dir: 'left', normal: [-1, 0, 0], vertices: [[0,0,0], [0,1,0], [0,1,1], [0,0,1]] },
-                        { dir: 'right', normal: [1, 0, 0], vertices: [[1,0,1], [1,1,1], [1,1,0], [1,0,0]] },
-                        { dir: 'bottom', normal: [0, -1, 0], vertices: [[0,0,0], [0,0,1], [1,0,1], [1,0,0]] },
-                        { dir: 'top', normal: [0, 1, 0], vertices: [[0,1,0], [1,1,0], [1,1,1], [0,1,1]] },
-                        { dir: 'back', normal: [0, 0, -1], vertices: [[1,0,0], [1,1,0], [0,1,0], [0,0,0]] },
-                        { dir: 'front', normal: [0, 0, 1], vertices: [[0,0,1], [0,1,1], [1,1,1], [1,0,1]] }
-                    ];
-                    
-                    for (const face of faces) {
-                        if (this.shouldRenderFace(x, y, z, face.dir)) {
-                            // Add vertices for this face
-                            const baseIndex = vertices.length / 3;
-                            
-                            for (const vertex of face.vertices) {
-                                vertices.push(x + vertex[0], y + vertex[1], z + vertex[2]);
-                                normals.push(...face.normal);
-                                colors.push(blockColor.r, blockColor.g, blockColor.b);
-                            }
-                            
-                            // Add UVs
-                            uvs.push(0, 0, 1, 0, 1, 1, 0, 1);
-                        }
+        for (let j = 0; j < gridSize; j++) {
+            for (let i = 0; i < gridSize; i++) {
+                cell[(d + 1) % 3] = i;
+                cell[(d + 2) % 3] = j;
+                cells[i + j * gridSize] = step === 1 ?
+                    getVoxel(cell[0], cell[1], cell[2]) :
+                    Chunk.downsampleCell(step, cell[0], cell[1], cell[2], getVoxel);
+            }
+        }
+        
+        return cells;
+    }
+    
+    // Type of one downsampled cell, or 0 when it is left empty
+    static downsampleCell(step, cx, cy, cz, getVoxel) {
+        const half = (step * step * step) / 2;
+        let filled = 0;
+        let top = 0;
+        
+        // Walk the cell from its top layer down
+        for (let y = step - 1; y >= 0; y--) {
+            for (let z = 0; z < step; z++) {
+                for (let x = 0; x < step; x++) {
+                    const type = getVoxel(cx * step + x, cy * step + y, cz * step + z);
+                    if (type !== 0 && !BlockRegistry.isCross(type)) {
+                        filled++;
+                        if (top === 0) top = type;
                     }
                 }
             }
         }
         
-        if (vertices.length === 0) {
-            this.isEmpty = true;
+        return filled >= half ? top : 0;
+    }
+    
+    // What the neighbor across one face shows at a grid position just outside a chunk
+    // meshed in cells of `scale` voxels. A coarser neighbor cell covers the face alone; a
+    // finer neighbor covers it only when all its cells there are filled. Returns the
+    // covering type, preferring one that lets light through so faces behind water and
+    // glass are still drawn, 0 where something is missing, or -1 where there is no
+    // border to look at, including edges and corners.
+    static sampleBorder(borders, size, scale, x, y, z) {
+        if (!borders) return -1;
+        
+        const position = [x, y, z];
+        const gridSize = size / scale;
+        let dir = -1;
+        for (let axis = 0; axis < 3; axis++) {
+            const c = position[axis];
+            if (c < 0 || c >= gridSize) {
+                if (dir !== -1) return -1;
+                dir = axis * 2 + (c < 0 ? 0 : 1);
+            }
+        }
+        
+        const border = dir === -1 ? null : borders[dir];
+        if (!border) return -1;
+        
+        // The neighbor cells facing this grid cell, in voxels and then in neighbor cells
+        const d = dir >> 1;
+        const cellCount = size / border.step;
+        const count = Math.max(1, scale / border.step);
+        const i0 = Math.floor(position[(d + 1) % 3] * scale / border.step);
+        const j0 = Math.floor(position[(d + 2) % 3] * scale / border.step);
+        
+        let result = 0;
+        for (let j = j0; j < j0 + count; j++) {
+            for (let i = i0; i < i0 + count; i++) {
+                const type = border.cells[i + j * cellCount];
+                if (type === 0) return 0;
+                if (result === 0 || Chunk.isOpaque(result)) result = type;
+            }
+        }
+        return result;
+    }
+    
+    // Build the chunk meshes from mesher output, either local or from a worker.
+    // Returns the opaque mesh; the translucent one is kept in translucentMesh.
+    applyMeshData(data) {
+        if (!data) {
+            return this.clearMesh();
+        }
+        
+        this.mesh = this.buildLayerMesh(this.mesh, data.opaque, false);
+        this.translucentMesh = this.buildLayerMesh(this.translucentMesh, data.translucent, true);
+        
+        this.geometry = this.mesh ? this.mesh.geometry : null;
+        this.needsUpdate = false;
+        
+        // Faces inside the translucent mesh are re-sorted as the camera moves
+        this.translucentQuads = null;
+        this.sortedFrom = null;
+        if (this.translucentMesh) {
+            this.translucentQuads = data.translucent.indices.slice();
+        }
+        
+        return this.mesh;
+    }
+    
+    // Create or update the mesh for one layer; returns null for an empty layer
+    buildLayerMesh(mesh, layer, translucent) {
+        // Fully buried chunks have voxels but nothing to draw
+        if (layer.positions.length === 0) {
+            this.stashMesh(translucent);
             return null;
         }
         
-        // Create geometry
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        if (!mesh) {
+            mesh = translucent ? this.spareTranslucentMesh : this.spareMesh;
+            if (translucent) {
+                this.spareTranslucentMesh = null;
+            } else {
+                this.spareMesh = null;
+            }
+        }
         
-        // Create indices for quads
-        const indices = [];
-        const numQuads = vertices.length / 12; // 4 vertices per quad, 3 components per vertex
-        for (let i = 0; i < numQuads; i++) {
-            const base = i * 4;
-            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        // Refill the existing buffers when the new data fits, so the GPU buffers are
+        // updated in place instead of being reallocated
+        if (mesh && Chunk.fillGeometry(mesh.geometry, layer)) {
+            return mesh;
         }
-        geometry.setIndex(indices);
         
-        // Compute bounding sphere for frustum culling
-        geometry.computeBoundingSphere();
+        const geometry = Chunk.createGeometry(layer);
         
-        // Create or update mesh
-        if (!this.mesh) {
-            const material = this.createMaterial();
-            this.mesh = new THREE.Mesh(geometry, material);
-            this.mesh.position.set(
+        if (!mesh) {
+            mesh = new THREE.Mesh(geometry, Chunk.getMaterial(translucent));
+            mesh.position.set(
                 this.x * this.size,
                 this.y * this.size,
                 this.z * this.size
             );
-            this.mesh.castShadow = false;
-            this.mesh.receiveShadow = false;
-            this.mesh.matrixAutoUpdate = false;
-            this.mesh.updateMatrix();
+            mesh.castShadow = false;
+            mesh.receiveShadow = false;
+            mesh.matrixAutoUpdate = false;
+            mesh.updateMatrix();
         } else {
             // Dispose old geometry
-            this.mesh.geometry.dispose();
-            this.mesh.geometry = geometry;
+            mesh.geometry.dispose();
+            mesh.geometry = geometry;
+        }
+        
+        return mesh;
+    }
+    
+    // Geometry for one layer of mesher output, drawn with the shared layer material
+    static createGeometry(layer) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(layer.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(layer.normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(layer.uvs, 2));
+        geometry.setAttribute('color', new THREE.BufferAttribute(layer.colors, 4));
+        geometry.setAttribute('tile', new THREE.BufferAttribute(layer.tiles, 1));
+        geometry.setIndex(new THREE.BufferAttribute(layer.indices, 1));
+        
+        // Compute bounding sphere for frustum culling and depth sorting
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+    
+    // Copy mesh data into a geometry's buffers if they are large enough. Data past the
+    // end of the new mesh stays in the buffers but is left out of the draw range.
+    static fillGeometry(geometry, layer) {
+        const attributes = geometry.attributes;
+        const fits = attributes.position.array.length >= layer.positions.length &&
+            geometry.index.array.length >= layer.indices.length;
+        if (!fits) return false;
+        
+        attributes.position.array.set(layer.positions);
+        attributes.normal.array.set(layer.normals);
+        attributes.uv.array.set(layer.uvs);
+        attributes.color.array.set(layer.colors);
+        attributes.tile.array.set(layer.tiles);
+        geometry.index.array.set(layer.indices);
+        
+        [attributes.position, attributes.normal, attributes.uv, attributes.color, attributes.tile, geometry.index]
+            .forEach(attribute => { attribute.needsUpdate = true; });
+        geometry.setDrawRange(0, layer.indices.length);
+        
+        // The leftover vertices are inside the chunk too, so the sphere still fits it
+        geometry.computeBoundingSphere();
+        return true;
+    }
+    
+    // Keep a layer's mesh aside, out of the scene, until the chunk has faces to draw again
+    stashMesh(translucent) {
+        const mesh = translucent ? this.translucentMesh : this.mesh;
+        if (!mesh) return;
+        
+        const spare = translucent ? this.spareTranslucentMesh : this.spareMesh;
+        if (spare) {
+            spare.geometry.dispose();
         }
         
-        this.geometry = geometry;
+        if (translucent) {
+            this.spareTranslucentMesh = mesh;
+            this.translucentMesh = null;
+        } else {
+            this.spareMesh = mesh;
+            this.mesh = null;
+        }
+    }
+    
+    // Drop the current meshes when there is nothing to draw
+    clearMesh() {
+        this.stashMesh(false);
+        this.stashMesh(true);
+        this.geometry = null;
+        this.translucentQuads = null;
         this.needsUpdate = false;
+        return null;
+    }
+    
+    // Order translucent faces back to front as seen from the camera. Whole chunks are
+    // already depth sorted by the renderer; this handles faces within one chunk.
+    sortTranslucentFaces(cameraPosition) {
+        if (!this.translucentMesh || !this.translucentQuads) return;
         
-        return this.mesh;
+        // Only re-sort once the camera has moved to another block
+        const cx = Math.floor(cameraPosition.x);
+        const cy = Math.floor(cameraPosition.y);
+        const cz = Math.floor(cameraPosition.z);
+        if (this.sortedFrom && this.sortedFrom[0] === cx &&
+            this.sortedFrom[1] === cy && this.sortedFrom[2] === cz) {
+            return;
+        }
+        this.sortedFrom = [cx, cy, cz];
+        
+        const geometry = this.translucentMesh.geometry;
+        const positions = geometry.attributes.position.array;
+        const source = this.translucentQuads;
+        const quadCount = source.length / 6;
+        
+        // Camera in chunk-local coordinates
+        const localX = cameraPosition.x - this.x * this.size;
+        const localY = cameraPosition.y - this.y * this.size;
+        const localZ = cameraPosition.z - this.z * this.size;
+        
+        const order = new Array(quadCount);
+        const distances = new Float32Array(quadCount);
+        for (let q = 0; q < quadCount; q++) {
+            // Quad center is the midpoint of its first and third corner
+            const a = source[q * 6] * 3;
+            const c = source[q * 6 + 2] * 3;
+            const dx = (positions[a] + positions[c]) * 0.5 - localX;
+            const dy = (positions[a + 1] + positions[c + 1]) * 0.5 - localY;
+            const dz = (positions[a + 2] + positions[c + 2]) * 0.5 - localZ;
+            
+            distances[q] = dx * dx + dy * dy + dz * dz;
+            order[q] = q;
+        }
+        order.sort((a, b) => distances[b] - distances[a]);
+        
+        const indices = geometry.index.array;
+        for (let i = 0; i < quadCount; i++) {
+            const from = order[i] * 6;
+            for (let k = 0; k < 6; k++) {
+                indices[i * 6 + k] = source[from + k];
+            }
+        }
+        geometry.index.needsUpdate = true;
     }
     
-    // Get block color based on type
-    getBlockColor(type) {
-        const colors = {
-            1: { r: 0.48, g: 0.99, b: 0 },      // GRASS - bright green
-            2: { r: 0.55, g: 0.27, b: 0.07 },   // DIRT - brown
-            3: { r: 0.5, g: 0.5, b: 0.5 },      // STONE - gray
-            4: { r: 0.96, g: 0.89, b: 0.74 },   // SAND - light yellow
-            5: { r: 0, g: 0.41, b: 0.58 },      // WATER - blue
-            6: { r: 0.55, g: 0.27, b: 0.07 },   // WOOD - brown
-            7: { r: 0.13, g: 0.55, b: 0.13 },   // LEAVES - dark green
-            8: { r: 0.18, g: 0.31, b: 0.31 }    // BEDROCK - dark gray
-        };
+    // Face color from the block registry, with the block opacity as alpha
+    static getBlockColor(type, face, state = 0) {
+        return BlockRegistry.getFaceColor(type, face, state);
+    }
+    
+    // Atlas tile for a face
+    static getFaceTile(type, face, state = 0) {
+        return TextureAtlas.getTileIndex(BlockRegistry.getFaceTexture(type, face, state));
+    }
+    
+    // Use a texture atlas for all chunk meshes, including those already built
+    static setTextureAtlas(atlas) {
+        sharedMaterials.atlas = atlas;
         
-        return colors[type] || { r: 1, g: 0, b: 1 }; // Default magenta for unknown
+        [sharedMaterials.opaque, sharedMaterials.translucent].forEach(material => {
+            if (material && atlas) {
+                atlas.applyTo(material);
+            }
+        });
+    }
+    
+    // Material shared by all chunk meshes of a layer. Colors come from the vertices,
+    // multiplied by the texture atlas when there is one.
+    static getMaterial(translucent = false) {
+        if (translucent) {
+            if (!sharedMaterials.translucent) {
+                sharedMaterials.translucent = Chunk.createTranslucentMaterial();
+            }
+            return sharedMaterials.translucent;
+        }
+        
+        if (!sharedMaterials.opaque) {
+            sharedMaterials.opaque = Chunk.createMaterial();
+        }
+        return sharedMaterials.opaque;
+    }
+    
+    static disposeMaterials() {
+        Object.keys(sharedMaterials).forEach(layer => {
+            if (sharedMaterials[layer]) {
+                sharedMaterials[layer].dispose();
+                sharedMaterials[layer] = null;
+            }
+        });
     }
     
     // Create optimized material
-    createMaterial() {
-        return new THREE.MeshLambertMaterial({
+    static createMaterial() {
+        return Chunk.withAtlas(new THREE.MeshLambertMaterial({
             vertexColors: true,
             flatShading: true,
             side: THREE.FrontSide
-        });
+        }));
+    }
+    
+    // Translucent faces blend with what is behind them and are visible from inside water
+    static createTranslucentMaterial() {
+        return Chunk.withAtlas(new THREE.MeshLambertMaterial({
+            vertexColors: true,
+            flatShading: true,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        }));
+    }
+    
+    static withAtlas(material) {
+        return sharedMaterials.atlas ? sharedMaterials.atlas.applyTo(material) : material;
     }
     
-    // Update LOD based on distance
-    updateLOD(cameraPosition) {
+    // Update LOD based on distance. Returns whether the level changed.
+    updateLOD(cameraPosition, lodSystem) {
         this.distance = this.center.distanceTo(cameraPosition);
         
-        // Simple LOD system
-        const newLodLevel = this.distance > 100 ? 2 : (this.distance > 50 ? 1 : 0);
+        const newLodLevel = lodSystem.getLevel(this.distance);
         
         if (newLodLevel !== this.lodLevel) {
             this.lodLevel = newLodLevel;
             this.needsUpdate = true;
+            return true;
         }
+        return false;
     }
     
-    // Dispose of chunk resources
+    // Dispose of chunk resources. The materials are shared and stay alive.
     dispose() {
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            if (this.mesh.material.dispose) {
-                this.mesh.material.dispose();
+        [this.mesh, this.translucentMesh, this.spareMesh, this.spareTranslucentMesh].forEach(mesh => {
+            if (mesh) {
+                mesh.geometry.dispose();
             }
-            this.mesh = null;
-        }
+        });
+        this.mesh = null;
+        this.translucentMesh = null;
+        this.spareMesh = null;
+        this.spareTranslucentMesh = null;
         
         this.voxels = null;
+        this.states = null;
+        this.light = null;
+        this.spareLight = null;
         this.neighbors = null;
     }
 }
@@ -282,15 +799,76 @@ class ChunkManager {
         this.chunks = new Map();
         this.activeChunks = new Set();
         
-        // Simple pool for chunks
-        this.chunkPool = [];
+        // Chunks within render distance as of the last update(), in no particular order
+        this.loadedChunks = [];
+        
+        // Vertical range of chunk indices that make up a column
+        this.minChunkY = -2;
+        this.maxChunkY = 2;
+        
+        // Unloaded chunks are reset and kept here for reuse, buffers and meshes included
+        this.chunkPool = new OptimizationUtils.ObjectPool(
+            () => new Chunk(0, 0, 0, chunkSize),
+            chunk => chunk.reset(),
+            0
+        );
         
         // Optimization systems
         this.frustumCuller = null;
+        this.lodSystem = new OptimizationUtils.LODSystem();
+        this.occlusionCuller = new OptimizationUtils.OcclusionCuller();
+        
+        // Chunks near the player are rebuilt even when off-screen, since turning
+        // around would show them immediately
+        this.urgentDistance = chunkSize * 2;
         
-        // Worker for async chunk generation
-        this.generationQueue = [];
-        this.isGenerating = false;
+        // Culling results from the last update
+        this.visibleChunks = 0;
+        this.culledChunks = 0;
+        this.occludedChunks = 0;
+        
+        // Terrain source, saved player edits and light, provided by the World
+        this.terrainGenerator = null;
+        this.storage = null;
+        this.lighting = null;
+        
+        // Chunks waiting to be generated, restored or meshed, worked through nearest and
+        // most visible first within a per-frame time budget. Generation goes to the worker
+        // pool when it is available, otherwise it runs on the main thread.
+        this.buildQueue = new OptimizationUtils.BuildScheduler();
+        this.workerPool = null;
+        
+        // Chunks touched by block edits this frame, rebuilt together at the end of it
+        this.dirtyChunks = new Set();
+        
+        // Camera view direction, for ranking queued chunks
+        this.viewDirection = new THREE.Vector3();
+        this.toChunk = new THREE.Vector3();
+    }
+    
+    // Milliseconds per frame spent on chunk generation and meshing
+    setBuildBudget(milliseconds) {
+        this.buildQueue.budget = milliseconds;
+    }
+    
+    // Start background workers for chunk generation when the page allows it
+    initWorkerPool() {
+        if (typeof ChunkWorkerPool === 'undefined' || !ChunkWorkerPool.isSupported()) {
+            return;
+        }
+        
+        try {
+            this.workerPool = new ChunkWorkerPool();
+        } catch (error) {
+            console.warn('Chunk workers unavailable, generating on main thread:', error);
+            this.workerPool = null;
+        }
+    }
+    
+    // Load columns covering world heights [minHeight, maxHeight)
+    setHeightRange(minHeight, maxHeight) {
+        this.minChunkY = Math.floor(minHeight / this.chunkSize);
+        this.maxChunkY = Math.ceil(maxHeight / this.chunkSize) - 1;
     }
     
     // Initialize frustum culler with camera
@@ -309,19 +887,30 @@ class ChunkManager {
         return this.getChunkByIndex(chunkX, chunkY, chunkZ);
     }
     
+    // Chunk holding a world position, or null when there is none; unlike getChunk it
+    // never creates one
+    findChunk(worldX, worldY, worldZ) {
+        const chunkX = Math.floor(worldX / this.chunkSize);
+        const chunkY = Math.floor(worldY / this.chunkSize);
+        const chunkZ = Math.floor(worldZ / this.chunkSize);
+        
+        return this.chunks.get(`${chunkX}_${chunkY}_${chunkZ}`) || null;
+    }
+    
     // Get or create chunk by chunk index
     getChunkByIndex(x, y, z) {
         const id = `${x}_${y}_${z}`;
         
         if (!this.chunks.has(id)) {
-            // Create new chunk
-            const chunk = new Chunk(x, y, z, this.chunkSize);
+            // Take a chunk from the pool
+            const chunk = this.chunkPool.acquire();
+            chunk.place(x, y, z);
             
             this.chunks.set(id, chunk);
             this.linkNeighbors(chunk);
             
             // Queue for generation
-            this.generationQueue.push(chunk);
+            this.buildQueue.add(chunk);
         }
         
         return this.chunks.get(id);
@@ -345,6 +934,15 @@ class ChunkManager {
         });
     }
     
+    // Remove links to a chunk that is about to be disposed
+    unlinkNeighbors(chunk) {
+        Object.entries(chunk.neighbors).forEach(([face, neighbor]) => {
+            if (neighbor) {
+                neighbor.neighbors[this.getOppositeFace(face)] = null;
+            }
+        });
+    }
+    
     getOppositeFace(face) {
         const opposites = {
             left: 'right',
@@ -364,70 +962,231 @@ class ChunkManager {
             this.frustumCuller.update();
         }
         
-        // Process generation queue
-        this.processGenerationQueue();
-        
         // Determine which chunks should be active
         const playerChunkX = Math.floor(cameraPosition.x / this.chunkSize);
         const playerChunkY = Math.floor(cameraPosition.y / this.chunkSize);
         const playerChunkZ = Math.floor(cameraPosition.z / this.chunkSize);
         
         const newActiveChunks = new Set();
+        const loadedChunks = [];
+        this.visibleChunks = 0;
+        this.culledChunks = 0;
+        this.occludedChunks = 0;
         
-        // Load chunks within render distance
+        // Load whole columns within render distance, so nothing pops in or out
+        // when the player flies up or digs down
         for (let x = -this.renderDistance; x <= this.renderDistance; x++) {
-            for (let y = -2; y <= 2; y++) { // Limit vertical chunks
-                for (let z = -this.renderDistance; z <= this.renderDistance; z++) {
-                    const distance = Math.sqrt(x * x + y * y + z * z);
-                    if (distance <= this.renderDistance) {
+            for (let z = -this.renderDistance; z <= this.renderDistance; z++) {
+                const distance = Math.sqrt(x * x + z * z);
+                if (distance <= this.renderDistance) {
+                    for (let y = this.minChunkY; y <= this.maxChunkY; y++) {
                         const chunk = this.getChunkByIndex(
                             playerChunkX + x,
-                            playerChunkY + y,
+                            y,
                             playerChunkZ + z
                         );
                         
                         if (chunk) {
                             newActiveChunks.add(chunk.id);
+                            loadedChunks.push(chunk);
                             
-                            // Update LOD
-                            chunk.updateLOD(cameraPosition);
-                            
-                            // Update mesh if needed
-                            if (chunk.needsUpdate) {
-                                this.updateChunkMesh(chunk);
+                            // Update LOD; neighbors cull their borders against it
+                            if (chunk.updateLOD(cameraPosition, this.lodSystem)) {
+                                this.markFaceNeighborsStale(chunk);
                             }
                             
-                            // Visibility culling
-                            if (chunk.mesh) {
-                                chunk.mesh.visible = true; // Always visible for now
-                            }
+                            // Frustum culling
+                            chunk.inFrustum = !this.frustumCuller ||
+                                this.frustumCuller.isVisible(chunk.boundingBox);
                         }
                     }
                 }
             }
         }
         
-        // Unload chunks that are too far
-        this.activeChunks.forEach(chunkId => {
+        // Occlusion culling: walk the visibility graph from the camera's chunk,
+        // staying inside the loaded area and the frustum
+        const cameraChunk = this.chunks.get(`${playerChunkX}_${playerChunkY}_${playerChunkZ}`);
+        this.occlusionCuller.update(cameraChunk, chunk =>
+            newActiveChunks.has(chunk.id) && chunk.inFrustum
+        );
+        
+        // Queue mesh updates once terrain has arrived
+        loadedChunks.forEach(chunk => {
+            chunk.occluded = !this.occlusionCuller.isVisible(chunk.id);
+            
+            if (chunk.isGenerated && chunk.needsUpdate && this.wantsMesh(chunk)) {
+                this.buildQueue.add(chunk);
+            }
+        });
+        
+        // Generate and mesh queued chunks within this frame's budget, dropping those
+        // that fell out of range
+        if (camera) {
+            camera.getWorldDirection(this.viewDirection);
+        } else {
+            this.viewDirection.set(0, 0, 0);
+        }
+        this.buildQueue.prioritize(
+            chunk => this.getBuildPriority(chunk, cameraPosition),
+            chunk => newActiveChunks.has(chunk.id)
+        );
+        this.buildQueue.run(chunk => this.buildChunk(chunk));
+        
+        // Unload chunks that are too far, and any created outside the loaded area, which
+        // the queue has just dropped and would otherwise never be generated
+        this.chunks.forEach((chunk, chunkId) => {
             if (!newActiveChunks.has(chunkId)) {
                 this.unloadChunk(chunkId);
             }
         });
         
         this.activeChunks = newActiveChunks;
+        this.loadedChunks = loadedChunks;
+    }
+    
+    // Finish the frame once every world system has made its edits: rebuild the chunks
+    // they marked dirty, then show or hide the loaded chunks
+    endFrame(cameraPosition) {
+        // Edits show up this frame, whatever the build budget
+        this.flushDirtyChunks();
+        
+        this.loadedChunks.forEach(chunk => this.applyVisibility(chunk, cameraPosition));
+    }
+    
+    // Queue a chunk to be rebuilt at the end of the frame
+    markDirty(chunk) {
+        chunk.needsUpdate = true;
+        this.dirtyChunks.add(chunk);
+    }
+    
+    // Mark the chunk holding an edited voxel, and the chunks whose meshes look at that
+    // voxel: the neighbor across each face it touches, and along edges and corners the
+    // diagonal chunks too, since their ambient occlusion samples it
+    markVoxelDirty(chunk, x, y, z) {
+        this.markDirty(chunk);
+        
+        const size = chunk.size;
+        const offsets = [x, y, z].map(c => (c === 0 ? [0, -1] : (c === size - 1 ? [0, 1] : [0])));
+        
+        offsets[0].forEach(dx => offsets[1].forEach(dy => offsets[2].forEach(dz => {
+            if (dx === 0 && dy === 0 && dz === 0) return;
+            
+            const neighbor = this.chunks.get(`${chunk.x + dx}_${chunk.y + dy}_${chunk.z + dz}`);
+            if (neighbor && neighbor.isGenerated) {
+                this.markDirty(neighbor);
+            } else if (neighbor) {
+                neighbor.bordersChanged = true;
+            }
+        })));
+    }
+    
+    // Rebuild every chunk marked dirty since the last flush, once each
+    flushDirtyChunks() {
+        this.dirtyChunks.forEach(chunk => {
+            if (chunk.isGenerated && chunk.needsUpdate) {
+                this.updateChunkMesh(chunk);
+            }
+        });
+        this.dirtyChunks.clear();
+    }
+    
+    // Hidden chunks wait to be meshed until they come into view, unless they are close
+    wantsMesh(chunk) {
+        return (chunk.inFrustum && !chunk.occluded) || chunk.distance <= this.urgentDistance;
+    }
+    
+    // Lower runs sooner. Visible and nearby chunks come before the rest; within each
+    // group nearer chunks come first, and chunks behind the camera count as twice as far.
+    getBuildPriority(chunk, cameraPosition) {
+        const distance = chunk.distance;
+        
+        let facing = 0;
+        if (distance > 0) {
+            facing = this.toChunk.subVectors(chunk.center, cameraPosition).divideScalar(distance)
+                .dot(this.viewDirection);
+        }
+        
+        const score = distance * (1.5 - 0.5 * facing);
+        return this.wantsMesh(chunk) ? score : score + ChunkManager.HIDDEN_PRIORITY;
+    }
+    
+    // Do the next step a queued chunk needs. Returns false when it has to wait.
+    buildChunk(chunk) {
+        if (chunk.pendingResult) {
+            const result = chunk.pendingResult;
+            chunk.pendingResult = null;
+            this.uploadGeneratedChunk(chunk, result);
+            return true;
+        }
+        
+        if (chunk.isGenerated) {
+            if (chunk.needsUpdate && this.wantsMesh(chunk)) {
+                this.updateChunkMesh(chunk);
+            }
+            return true;
+        }
+        
+        if (this.storage && this.storage.has(chunk.id)) {
+            this.restoreChunk(chunk);
+            return true;
+        }
+        
+        // Hand chunks to idle workers; their results come back through the queue
+        if (this.workerPool && !this.workerPool.failed && this.terrainGenerator) {
+            if (this.workerPool.idleCount === 0) return false;
+            this.requestGeneration(chunk);
+            return true;
+        }
+        
+        this.generateChunk(chunk);
+        this.updateChunkMesh(chunk);
+        return true;
     }
     
-    // Update chunk mesh
-    updateChunkMesh(chunk) {
+    // Show or hide a chunk's meshes according to the last culling result
+    applyVisibility(chunk, cameraPosition) {
+        if (!chunk.mesh && !chunk.translucentMesh) return;
+        
+        const visible = chunk.inFrustum && !chunk.occluded;
+        if (visible) {
+            this.visibleChunks++;
+        } else if (!chunk.inFrustum) {
+            this.culledChunks++;
+        } else {
+            this.occludedChunks++;
+        }
+        
+        if (chunk.mesh) {
+            chunk.mesh.visible = visible;
+        }
+        if (chunk.translucentMesh) {
+            chunk.translucentMesh.visible = visible;
+            if (visible) {
+                chunk.sortTranslucentFaces(cameraPosition);
+            }
+        }
+    }
+    
+    // Update chunk mesh, meshing locally unless prebuilt mesh data is given
+    updateChunkMesh(chunk, meshData) {
         const oldMesh = chunk.mesh;
-        const newMesh = chunk.generateMesh();
+        const oldTranslucentMesh = chunk.translucentMesh;
+        
+        if (meshData !== undefined) {
+            chunk.applyMeshData(meshData);
+        } else {
+            chunk.generateMesh();
+        }
         
+        this.swapMesh(oldMesh, chunk.mesh);
+        this.swapMesh(oldTranslucentMesh, chunk.translucentMesh);
+    }
+    
+    // Replace a mesh in the scene. Meshes taken out stay with their chunk for reuse.
+    swapMesh(oldMesh, newMesh) {
         if (oldMesh && oldMesh !== newMesh) {
             this.scene.remove(oldMesh);
-            oldMesh.geometry.dispose();
-            if (oldMesh.material.dispose) {
-                oldMesh.material.dispose();
-            }
         }
         
         if (newMesh && newMesh !== oldMesh) {
@@ -443,40 +1202,292 @@ class ChunkManager {
         if (chunk.mesh) {
             this.scene.remove(chunk.mesh);
         }
+        if (chunk.translucentMesh) {
+            this.scene.remove(chunk.translucentMesh);
+        }
+        
+        // Drop generation work that is still queued or running
+        this.removeFromQueue(chunk);
+        this.dirtyChunks.delete(chunk);
+        if (this.workerPool) {
+            this.workerPool.cancel(chunkId);
+        }
+        
+        // Keep player edits; the chunk is restored from storage when it comes back
+        if (chunk.modified && chunk.isGenerated && this.storage) {
+            this.storage.save(chunk);
+        }
         
-        chunk.dispose();
+        this.unlinkNeighbors(chunk);
         this.chunks.delete(chunkId);
+        this.chunkPool.release(chunk);
+    }
+    
+    // Whether async work started on a chunk still applies: the chunk is loaded and
+    // has not been recycled since
+    isCurrent(chunk, version) {
+        return chunk.version === version && this.chunks.get(chunk.id) === chunk;
+    }
+    
+    removeFromQueue(chunk) {
+        this.buildQueue.remove(chunk);
+    }
+    
+    // Generate terrain for a chunk on the main thread
+    generateChunk(chunk) {
+        this.removeFromQueue(chunk);
+        chunk.pendingResult = null;
+        if (this.workerPool) {
+            this.workerPool.cancel(chunk.id);
+        }
+        
+        if (this.terrainGenerator) {
+            this.terrainGenerator.generateChunk(chunk);
+            this.terrainGenerator.generateDecorations(chunk);
+        }
+        
+        chunk.isGenerated = true;
+        chunk.needsUpdate = true;
+        this.lightChunk(chunk);
+        this.markNeighborsStale(chunk);
+    }
+    
+    // Neighbors meshed before a chunk's voxels arrived drew their borders against air
+    // in daylight, or against a worker's guess, so they are rebuilt. Ambient occlusion
+    // reaches across chunk edges and corners, so that includes the diagonal neighbors.
+    markNeighborsStale(chunk) {
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0 && dz === 0) continue;
+                    
+                    const neighbor = this.chunks.get(`${chunk.x + dx}_${chunk.y + dy}_${chunk.z + dz}`);
+                    if (neighbor && neighbor.isGenerated) {
+                        neighbor.needsUpdate = true;
+                    } else if (neighbor) {
+                        neighbor.bordersChanged = true;
+                    }
+                }
+            }
+        }
+    }
+    
+    // Neighbors across each face of a chunk whose LOD changed
+    markFaceNeighborsStale(chunk) {
+        Object.values(chunk.neighbors).forEach(neighbor => {
+            if (neighbor && neighbor.isGenerated) {
+                neighbor.needsUpdate = true;
+            } else if (neighbor) {
+                neighbor.bordersChanged = true;
+            }
+        });
     }
     
-    // Process chunk generation queue
-    processGenerationQueue() {
-        if (this.isGenerating || this.generationQueue.length === 0) return;
+    // The voxels and states around a chunk that its border faces and corner shading
+    // look at, as a one-voxel shell for a worker meshing the chunk. Only generated
+    // neighbors are copied; `known` flags which of the 27 slots of the neighborhood,
+    // indexed (dx + 1) + (dy + 1) * 3 + (dz + 1) * 9, they fill.
+    getBorderShell(chunk) {
+        const size = chunk.size;
+        const padded = size + 2;
+        const voxels = new Uint16Array(padded * padded * padded);
+        const states = new Uint16Array(padded * padded * padded);
+        const known = new Uint8Array(27);
         
-        this.isGenerating = true;
+        // Shell coordinates covered by a neighbor at an offset of -1, 0 or 1
+        const span = d => (d < 0 ? [0, 1] : (d > 0 ? [size + 1, size + 2] : [1, size + 1]));
         
-        // Process one chunk per frame to avoid blocking
-        const chunk = this.generationQueue.shift();
-        if (chunk) {
-            // Generate terrain for this chunk (will be implemented in terrain.js)
-            if (window.TerrainGenerator) {
-                window.TerrainGenerator.generateChunk(chunk);
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0 && dz === 0) continue;
+                    
+                    const neighbor = this.chunks.get(`${chunk.x + dx}_${chunk.y + dy}_${chunk.z + dz}`);
+                    if (!neighbor || !neighbor.isGenerated) continue;
+                    known[(dx + 1) + (dy + 1) * 3 + (dz + 1) * 9] = 1;
+                    
+                    const [x0, x1] = span(dx);
+                    const [y0, y1] = span(dy);
+                    const [z0, z1] = span(dz);
+                    for (let z = z0; z < z1; z++) {
+                        for (let y = y0; y < y1; y++) {
+                            for (let x = x0; x < x1; x++) {
+                                const lx = x - 1 - dx * size;
+                                const ly = y - 1 - dy * size;
+                                const lz = z - 1 - dz * size;
+                                const index = x + y * padded + z * padded * padded;
+                                voxels[index] = neighbor.getVoxel(lx, ly, lz);
+                                states[index] = neighbor.getState(lx, ly, lz);
+                            }
+                        }
+                    }
+                }
             }
+        }
+        
+        return { voxels, states, known };
+    }
+    
+    // Light and voxels of the lit neighbors along each face of a chunk, in
+    // LightEngine.getBorderIndices order, for a worker lighting the chunk. Null for
+    // faces without a lit neighbor.
+    getBorderLight(chunk) {
+        return BlockRegistry.FACES.map((face, dir) => {
+            const neighbor = chunk.neighbors[face];
+            if (!neighbor || !neighbor.light) return null;
             
-            this.updateChunkMesh(chunk);
+            const indices = LightEngine.getBorderIndices(chunk.size, dir ^ 1);
+            const light = new Uint16Array(indices.length);
+            const voxels = new Uint16Array(indices.length);
+            for (let i = 0; i < indices.length; i++) {
+                light[i] = neighbor.light[indices[i]];
+                voxels[i] = neighbor.voxels.get(indices[i]);
+            }
+            return { light, voxels };
+        });
+    }
+    
+    // Light a chunk whose voxels just arrived, starting from a worker's light if given
+    lightChunk(chunk, light = null) {
+        if (this.lighting) {
+            this.lighting.initChunk(chunk, light);
         }
+    }
+    
+    // Load a chunk the player edited earlier instead of generating it
+    restoreChunk(chunk) {
+        this.removeFromQueue(chunk);
+        const version = chunk.version;
+        
+        return this.storage.load(chunk.id, chunk.size).then(saved => {
+            // The chunk was unloaded while its data loaded
+            if (!this.isCurrent(chunk, version)) return;
+            
+            if (!saved) {
+                this.buildQueue.add(chunk);
+                return;
+            }
+            
+            chunk.voxels = saved.voxels;
+            if (saved.states) {
+                chunk.states = saved.states;
+            }
+            chunk.isEmpty = saved.voxels.countSolid() === 0;
+            chunk.isGenerated = true;
+            chunk.needsUpdate = true;
+            chunk.modified = true;
+            this.lightChunk(chunk);
+            this.markNeighborsStale(chunk);
+        });
+    }
+    
+    // Save every edited chunk that is still loaded
+    saveModifiedChunks() {
+        if (!this.storage) return Promise.resolve();
         
-        this.isGenerating = false;
+        const saves = [];
+        this.chunks.forEach(chunk => {
+            if (chunk.modified && chunk.isGenerated) {
+                saves.push(this.storage.save(chunk));
+            }
+        });
+        return Promise.all(saves);
+    }
+    
+    // Generate, light and mesh a chunk on a worker. The worker sees the borders of the
+    // neighbors generated so far, and guesses the others from bare terrain.
+    requestGeneration(chunk) {
+        const version = chunk.version;
+        chunk.bordersChanged = false;
+        
+        this.workerPool.run(chunk.id, {
+            type: 'generate',
+            x: chunk.x,
+            y: chunk.y,
+            z: chunk.z,
+            size: chunk.size,
+            lodLevel: chunk.lodLevel,
+            light: this.lighting ? this.getBorderLight(chunk) : null,
+            maxChunkY: this.maxChunkY,
+            border: chunk.lodLevel === 0 ? this.getBorderShell(chunk) : null,
+            lodBorders: chunk.getLodBorders(),
+            seed: this.terrainGenerator.seed,
+            params: this.terrainGenerator.params,
+            blocks: BlockRegistry.changes
+        }).then(result => {
+            // Cancelled, unloaded while the job ran, or generated locally in the meantime
+            if (!result || !this.isCurrent(chunk, version) || chunk.isGenerated) {
+                return;
+            }
+            
+            // Adopting the voxels and lighting them is main-thread work, so it waits
+            // for the chunk's turn in the queue
+            chunk.pendingResult = result;
+            this.buildQueue.add(chunk);
+        }).catch(error => {
+            console.warn(`Worker failed on chunk ${chunk.id}, generating on main thread:`, error.message);
+            
+            if (this.isCurrent(chunk, version) && !chunk.isGenerated) {
+                this.generateChunk(chunk);
+                this.updateChunkMesh(chunk);
+            }
+        });
+    }
+    
+    // Adopt the voxels and light a worker generated and upload its finished mesh buffers
+    uploadGeneratedChunk(chunk, result) {
+        chunk.voxels = VoxelStorage.deserialize(result.voxels);
+        chunk.isEmpty = result.isEmpty;
+        chunk.isGenerated = true;
+        chunk.connectivity = result.connectivity || null;
+        this.lightChunk(chunk, result.light);
+        this.markNeighborsStale(chunk);
+        this.updateChunkMesh(chunk, result.mesh);
+        
+        // The chunk changed LOD while the job ran, a neighbor's border changed, or light
+        // came in that the worker could not see; remesh against the current neighbors
+        if (result.lodLevel !== chunk.lodLevel || chunk.bordersChanged || !this.matchesWorkerLight(chunk, result)) {
+            chunk.needsUpdate = true;
+        }
+    }
+    
+    // Whether the light a worker meshed with is still what the chunk and the border
+    // voxels of its neighbors hold, now that the chunk has been lit here. It is not when
+    // light reached back in through a neighbor, or a neighbor was lit while the job ran.
+    matchesWorkerLight(chunk, result) {
+        if (!result.light || !result.mesh || result.lodLevel > 0) return true;
+        
+        for (let index = 0; index < chunk.light.length; index++) {
+            if (chunk.light[index] !== result.light[index]) return false;
+        }
+        
+        return BlockRegistry.FACES.every((face, dir) => {
+            const neighbor = chunk.neighbors[face];
+            const layer = result.borderLight[dir];
+            if (!neighbor || !neighbor.light) return !layer;
+            if (!layer) return false;
+            
+            const indices = LightEngine.getBorderIndices(chunk.size, dir ^ 1);
+            for (let i = 0; i < indices.length; i++) {
+                if (neighbor.light[indices[i]] !== layer[i]) return false;
+            }
+            return true;
+        });
     }
     
     // Get statistics
     getStats() {
         let totalBlocks = 0;
         let renderedChunks = 0;
+        let voxelMemory = 0;
         
         this.chunks.forEach(chunk => {
+            voxelMemory += chunk.voxels.byteLength;
+            
             if (!chunk.isEmpty) {
-                totalBlocks += chunk.voxels.filter(v => v !== 0).length;
-                if (chunk.mesh && chunk.mesh.visible) {
+                totalBlocks += chunk.voxels.countSolid();
+                if ((chunk.mesh && chunk.mesh.visible) ||
+                    (chunk.translucentMesh && chunk.translucentMesh.visible)) {
                     renderedChunks++;
                 }
             }
@@ -487,25 +1498,51 @@ class ChunkManager {
             activeChunks: this.activeChunks.size,
             renderedChunks: renderedChunks,
             totalBlocks: totalBlocks,
-            queuedChunks: this.generationQueue.length
+            voxelMemory: voxelMemory,
+            visibleChunks: this.visibleChunks,
+            culledChunks: this.culledChunks,
+            occludedChunks: this.occludedChunks,
+            queuedChunks: this.buildQueue.size,
+            buildTime: this.buildQueue.lastBuildTime,
+            builtChunks: this.buildQueue.lastBuildCount,
+            pooledChunks: this.chunkPool.pool.length,
+            generatingChunks: this.workerPool ? this.workerPool.running.size : 0
         };
     }
     
     // Dispose all chunks
     dispose() {
+        this.saveModifiedChunks();
+        
         this.chunks.forEach(chunk => {
             if (chunk.mesh) {
                 this.scene.remove(chunk.mesh);
             }
+            if (chunk.translucentMesh) {
+                this.scene.remove(chunk.translucentMesh);
+            }
             chunk.dispose();
         });
+        this.chunkPool.pool.forEach(chunk => chunk.dispose());
         
         this.chunks.clear();
         this.activeChunks.clear();
-        this.generationQueue = [];
+        this.chunkPool.pool = [];
+        this.chunkPool.active.clear();
+        this.buildQueue.clear();
+        this.dirtyChunks.clear();
+        Chunk.disposeMaterials();
+        
+        if (this.workerPool) {
+            this.workerPool.dispose();
+            this.workerPool = null;
+        }
     }
 }
 
+// Added to the priority of hidden, distant chunks so every visible chunk is built first
+ChunkManager.HIDDEN_PRIORITY = 1e6;
+
 // Export for use in other modules
 window.Chunk = Chunk;
 window.ChunkManager = ChunkManager;
\ No newline at end of file
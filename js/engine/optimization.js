@@ -57,71 +57,125 @@ class ObjectPool {
 }
 
 // Greedy Meshing Algorithm for voxel optimization
+// Faces are merged only when they share block type and state, face direction, corner
+// ambient occlusion and light, so the merged mesh looks identical to per-face output
 class GreedyMesher {
     constructor() {
-        this.dims = [32, 32, 32];
-        this.mask = new Int32Array(this.dims[0] * this.dims[1]);
-        this.tempVoxels = null;
+        this.mask = new Int32Array(0);
+        this.aoMask = new Uint8Array(0);
+        this.lightMask = new Uint16Array(0);
+        this.stateMask = new Uint16Array(0);
     }
     
-    mesh(voxels, dims) {
-        const vertices = [];
-        const indices = [];
-        const normals = [];
-        const uvs = [];
-        let indexOffset = 0;
+    // Mesh a cubic volume of voxels. The source provides:
+    //   getVoxel(x, y, z)          - block type, coordinates may be one step outside [0, size)
+    //   isFaceVisible(type, other, face, otherState, rect) - whether a face of `type` touching
+    //                                `other` is drawn; rect is the part of the face, or null
+    //                                for all of it
+    //   isTranslucent(type)        - whether faces of `type` go to the translucent layer
+    //   getFaceColor(type, face, state) - { r, g, b, a } for a face name (left, right, bottom, ...)
+    //   getFaceTile(type, face, state)  - optional; texture atlas tile number for a face
+    //   getState(x, y, z)          - optional; block state of a voxel, coordinates as getVoxel
+    //   getFaceUV(type, face, state) - optional; UV transform of a turned face, see BlockRegistry
+    //   hasShape(type)             - optional; blocks that are not full cubes in every state
+    //   getShape(type, state)      - their shape, or null for a cube; see BlockRegistry.getShape
+    //   isOccluder(type)           - optional; blocks that darken the corners of faces next to them
+    //   getLight(x, y, z)          - optional; light value of a voxel, compared when merging
+    //   getLightColor(light)       - [r, g, b] multiplier for a light value, needed with getLight
+    // Returns separate buffers for the opaque and the translucent layer. With a scale
+    // above 1 every voxel becomes a scale-sized cube, which LOD meshes use.
+    mesh(size, source, scale = 1) {
+        const layers = [this.createLayer(), this.createLayer()];
         
-        // Process each axis
+        if (this.mask.length < size * size) {
+            this.mask = new Int32Array(size * size);
+            this.aoMask = new Uint8Array(size * size);
+            this.lightMask = new Uint16Array(size * size);
+            this.stateMask = new Uint16Array(size * size);
+        }
+        const mask = this.mask;
+        const aoMask = this.aoMask;
+        const lightMask = this.lightMask;
+        const stateMask = this.stateMask;
+        
+        // Process each axis, once for the back-facing and once for the front-facing side
         for (let d = 0; d < 3; d++) {
             const u = (d + 1) % 3;
             const v = (d + 2) % 3;
             
-            const x = [0, 0, 0];
-            const q = [0, 0, 0];
-            const du = [0, 0, 0];
-            const dv = [0, 0, 0];
-            
-            q[d] = 1;
-            
-            const mask = new Int32Array(dims[u] * dims[v]);
-            
-            for (x[d] = -1; x[d] < dims[d];) {
-                // Compute mask
-                let n = 0;
-                for (x[v] = 0; x[v] < dims[v]; x[v]++) {
-                    for (x[u] = 0; x[u] < dims[u]; x[u]++) {
-                        const a = x[d] >= 0 ? this.getVoxel(voxels, x, dims) : 0;
-                        const b = x[d] < dims[d] - 1 ? this.getVoxel(voxels, [x[0] + q[0], x[1] + q[1], x[2] + q[2]], dims) : 0;
-                        
-                        if (a !== b) {
-                            mask[n] = a ? a : -b;
-                        } else {
-                            mask[n] = 0;
+            for (let side = 0; side < 2; side++) {
+                const step = side === 0 ? -1 : 1;
+                const face = GreedyMesher.FACES[d][side];
+                const x = [0, 0, 0];
+                
+                for (x[d] = 0; x[d] < size; x[d]++) {
+                    // Compute mask: block type of every visible face in this slice
+                    let n = 0;
+                    for (x[v] = 0; x[v] < size; x[v]++) {
+                        for (x[u] = 0; x[u] < size; x[u]++) {
+                            const type = source.getVoxel(x[0], x[1], x[2]);
+                            let value = 0;
+                            let ao = GreedyMesher.NO_OCCLUSION;
+                            let light = 0;
+                            let state = 0;
+                            
+                            if (type !== 0 && !this.isShaped(source, type, x[0], x[1], x[2])) {
+                                const ox = x[0] + (d === 0 ? step : 0);
+                                const oy = x[1] + (d === 1 ? step : 0);
+                                const oz = x[2] + (d === 2 ? step : 0);
+                                const other = source.getVoxel(ox, oy, oz);
+                                if (source.isFaceVisible(type, other, face, this.getShapeState(source, other, ox, oy, oz))) {
+                                    value = type;
+                                    if (source.getState) {
+                                        state = source.getState(x[0], x[1], x[2]);
+                                    }
+                                    if (source.isOccluder) {
+                                        ao = this.computeFaceAO(source, x, d, u, v, step);
+                                    }
+                                    
+                                    // A face is lit by the voxel in front of it
+                                    if (source.getLight) {
+                                        light = source.getLight(ox, oy, oz);
+                                    }
+                                }
+                            }
+                            
+                            aoMask[n] = ao;
+                            lightMask[n] = light;
+                            stateMask[n] = state;
+                            mask[n++] = value;
                         }
-                        n++;
                     }
-                }
-                
-                x[d]++;
-                
-                // Generate mesh from mask
-                n = 0;
-                for (let j = 0; j < dims[v]; j++) {
-                    for (let i = 0; i < dims[u];) {
-                        if (mask[n] !== 0) {
+                    
+                    // Generate quads from mask
+                    n = 0;
+                    for (let j = 0; j < size; j++) {
+                        for (let i = 0; i < size;) {
+                            const type = mask[n];
+                            const ao = aoMask[n];
+                            const light = lightMask[n];
+                            const state = stateMask[n];
+                            if (type === 0) {
+                                i++;
+                                n++;
+                                continue;
+                            }
+                            
                             // Compute width
                             let w = 1;
-                            while (i + w < dims[u] && mask[n + w] === mask[n]) {
+                            while (i + w < size && mask[n + w] === type && aoMask[n + w] === ao &&
+                                   lightMask[n + w] === light && stateMask[n + w] === state) {
                                 w++;
                             }
                             
                             // Compute height
                             let h = 1;
                             let done = false;
-                            
-                            for (; h < dims[v] - j; h++) {
+                            for (; j + h < size; h++) {
                                 for (let k = 0; k < w; k++) {
-                                    if (mask[n + k + h * dims[u]] !== mask[n]) {
+                                    const next = n + k + h * size;
+                                    if (mask[next] !== type || aoMask[next] !== ao ||
+                                        lightMask[next] !== light || stateMask[next] !== state) {
                                         done = true;
                                         break;
                                     }
@@ -129,76 +183,270 @@ class GreedyMesher {
                                 if (done) break;
                             }
                             
-                            // Add quad
-                            x[u] = i;
-                            x[v] = j;
+                            // Add quad on the outer plane of the slice
+                            const origin = [0, 0, 0];
+                            origin[d] = x[d] + side;
+                            origin[u] = i;
+                            origin[v] = j;
                             
-                            du[u] = w;
-                            dv[v] = h;
-                            
-                            const quad = this.createQuad(x, du, dv, mask[n] > 0, d);
-                            vertices.push(...quad.vertices);
-                            normals.push(...quad.normals);
-                            uvs.push(...quad.uvs);
-                            
-                            // Add indices
-                            indices.push(
-                                indexOffset, indexOffset + 1, indexOffset + 2,
-                                indexOffset + 2, indexOffset + 3, indexOffset
-                            );
-                            indexOffset += 4;
+                            this.addFace(layers, source, type, face, state, light, origin, d, u, v, w, h, step, scale, ao);
                             
                             // Clear mask
                             for (let l = 0; l < h; l++) {
                                 for (let k = 0; k < w; k++) {
-                                    mask[n + k + l * dims[u]] = 0;
+                                    mask[n + k + l * size] = 0;
                                 }
                             }
                             
                             i += w;
                             n += w;
-                        } else {
-                            i++;
-                            n++;
                         }
                     }
                 }
             }
         }
         
-        return { vertices, indices, normals, uvs };
+        if (source.hasShape) {
+            this.meshShapes(size, source, scale, layers);
+        }
+        
+        return {
+            opaque: this.finishLayer(layers[0]),
+            translucent: this.finishLayer(layers[1])
+        };
+    }
+    
+    // Whether meshShapes draws a voxel rather than the cube pass
+    isShaped(source, type, x, y, z) {
+        if (!source.hasShape || !source.hasShape(type)) return false;
+        return source.getShape(type, source.getState ? source.getState(x, y, z) : 0) !== null;
+    }
+    
+    // State of a neighbor, only looked up for shaped blocks, whose faces depend on it
+    getShapeState(source, type, x, y, z) {
+        if (type === 0 || !source.hasShape || !source.hasShape(type) || !source.getState) return 0;
+        return source.getState(x, y, z);
+    }
+    
+    // Blocks that aren't full cubes are drawn box face by box face, without merging.
+    // Faces on the cell border are culled against the neighbor like cube faces.
+    meshShapes(size, source, scale, layers) {
+        const cell = [0, 0, 0];
+        
+        for (cell[2] = 0; cell[2] < size; cell[2]++) {
+            for (cell[1] = 0; cell[1] < size; cell[1]++) {
+                for (cell[0] = 0; cell[0] < size; cell[0]++) {
+                    const type = source.getVoxel(cell[0], cell[1], cell[2]);
+                    if (type === 0 || !source.hasShape(type)) continue;
+                    
+                    const state = source.getState ? source.getState(cell[0], cell[1], cell[2]) : 0;
+                    const shape = source.getShape(type, state);
+                    if (!shape) continue;
+                    
+                    const light = source.getLight ? source.getLight(cell[0], cell[1], cell[2]) : 0;
+                    
+                    if (shape.cross) {
+                        const layer = layers[source.isTranslucent(type) ? 1 : 0];
+                        const color = this.getLitColor(source, type, 'front', state, light);
+                        const tile = source.getFaceTile ? source.getFaceTile(type, 'front', state) : 0;
+                        this.addCross(layer, cell, color, scale, tile);
+                        continue;
+                    }
+                    
+                    shape.faces.forEach(({ face, axis, side, plane, rect, border }) => {
+                        const step = side === 0 ? -1 : 1;
+                        let faceLight = light;
+                        
+                        if (border) {
+                            const p = [cell[0], cell[1], cell[2]];
+                            p[axis] += step;
+                            const other = source.getVoxel(p[0], p[1], p[2]);
+                            const otherState = this.getShapeState(source, other, p[0], p[1], p[2]);
+                            if (!source.isFaceVisible(type, other, face, otherState, rect)) return;
+                            
+                            // Like cube faces, lit by the voxel in front
+                            if (source.getLight) {
+                                faceLight = source.getLight(p[0], p[1], p[2]);
+                            }
+                        }
+                        
+                        const u = (axis + 1) % 3;
+                        const v = (axis + 2) % 3;
+                        const origin = [cell[0], cell[1], cell[2]];
+                        origin[axis] += plane;
+                        origin[u] += rect[0];
+                        origin[v] += rect[1];
+                        this.addFace(layers, source, type, face, state, faceLight, origin, axis, u, v,
+                            rect[2] - rect[0], rect[3] - rect[1], step, scale, GreedyMesher.NO_OCCLUSION);
+                    });
+                }
+            }
+        }
+    }
+    
+    // Add a face with the block's color, tile and light
+    addFace(layers, source, type, face, state, light, origin, d, u, v, w, h, step, scale, ao) {
+        const color = this.getLitColor(source, type, face, state, light);
+        const tile = source.getFaceTile ? source.getFaceTile(type, face, state) : 0;
+        const uvTransform = state && source.getFaceUV ? source.getFaceUV(type, face, state) : null;
+        const layer = layers[source.isTranslucent(type) ? 1 : 0];
+        this.addQuad(layer, origin, d, u, v, w, h, step, color, scale, ao, tile, uvTransform);
+    }
+    
+    getLitColor(source, type, face, state, light) {
+        const color = source.getFaceColor(type, face, state);
+        if (!source.getLight) return color;
+        
+        const tint = source.getLightColor(light);
+        return {
+            r: color.r * tint[0],
+            g: color.g * tint[1],
+            b: color.b * tint[2],
+            a: color.a
+        };
+    }
+    
+    // Ambient occlusion of the four corners of a face, from the three voxels touching each
+    // corner in the layer the face looks into. Two bits per corner, 3 meaning unoccluded,
+    // packed as (u-, v-), (u+, v-), (u+, v+), (u-, v+).
+    computeFaceAO(source, x, d, u, v, step) {
+        const p = [x[0], x[1], x[2]];
+        p[d] += step;
+        
+        const occludes = (du, dv) => {
+            const q = [p[0], p[1], p[2]];
+            q[u] += du;
+            q[v] += dv;
+            return source.isOccluder(source.getVoxel(q[0], q[1], q[2])) ? 1 : 0;
+        };
+        
+        let ao = 0;
+        GreedyMesher.AO_CORNERS.forEach(([du, dv], corner) => {
+            const side1 = occludes(du, 0);
+            const side2 = occludes(0, dv);
+            const level = side1 && side2 ? 0 : 3 - (side1 + side2 + occludes(du, dv));
+            ao |= level << (corner * 2);
+        });
+        return ao;
+    }
+    
+    createLayer() {
+        return { positions: [], normals: [], colors: [], uvs: [], tiles: [], indices: [] };
     }
     
-    getVoxel(voxels, pos, dims) {
-        const index = pos[0] + pos[1] * dims[0] + pos[2] * dims[0] * dims[1];
-        return voxels[index] || 0;
+    // Pack a layer into typed arrays so it can be uploaded or transferred from a worker
+    finishLayer(layer) {
+        return {
+            positions: new Float32Array(layer.positions),
+            normals: new Float32Array(layer.normals),
+            colors: new Float32Array(layer.colors),
+            uvs: new Float32Array(layer.uvs),
+            tiles: new Float32Array(layer.tiles),
+            indices: new Uint32Array(layer.indices)
+        };
     }
     
-    createQuad(pos, du, dv, front, axis) {
-        const vertices = [];
-        const normals = [];
-        const uvs = [];
+    // UVs are measured in blocks along the face, so a texture tile repeats once per block
+    // across a merged quad. They are laid out as seen from outside the face, with V
+    // pointing up on side faces. Faces of turned blocks pass a uvTransform so their
+    // texture turns with them.
+    addQuad(out, origin, d, u, v, w, h, step, color, scale = 1, ao = GreedyMesher.NO_OCCLUSION, tile = 0, uvTransform = null) {
+        const base = out.positions.length / 3;
         
-        const normal = [0, 0, 0];
-        normal[axis] = front ? 1 : -1;
+        // Corners in (u, v) units, wound counter-clockwise as seen from the normal
+        const corners = step > 0 ?
+            [[0, 0], [w, 0], [w, h], [0, h]] :
+            [[0, 0], [0, h], [w, h], [w, 0]];
+        const levels = [];
         
-        // Create 4 vertices for the quad
-        for (let i = 0; i < 4; i++) {
-            const vertex = [
-                pos[0] + (i === 1 || i === 2 ? du[0] : 0) + (i === 2 || i === 3 ? dv[0] : 0),
-                pos[1] + (i === 1 || i === 2 ? du[1] : 0) + (i === 2 || i === 3 ? dv[1] : 0),
-                pos[2] + (i === 1 || i === 2 ? du[2] : 0) + (i === 2 || i === 3 ? dv[2] : 0)
-            ];
+        for (const [cu, cv] of corners) {
+            const vertex = [origin[0], origin[1], origin[2]];
+            vertex[u] += cu;
+            vertex[v] += cv;
+            
+            const corner = cu === 0 ? (cv === 0 ? 0 : 3) : (cv === 0 ? 1 : 2);
+            const level = (ao >> (corner * 2)) & 3;
+            const shade = GreedyMesher.AO_SHADES[level];
+            levels.push(level);
             
-            vertices.push(...vertex);
-            normals.push(...normal);
-            uvs.push((i === 1 || i === 2) ? 1 : 0, (i === 2 || i === 3) ? 1 : 0);
+            out.positions.push(vertex[0] * scale, vertex[1] * scale, vertex[2] * scale);
+            out.normals.push(d === 0 ? step : 0, d === 1 ? step : 0, d === 2 ? step : 0);
+            out.colors.push(color.r * shade, color.g * shade, color.b * shade, color.a);
+            const [tu, tv] = GreedyMesher.faceUV(vertex, d, step, scale);
+            if (uvTransform) {
+                out.uvs.push(uvTransform[0] * tu + uvTransform[1] * tv, uvTransform[2] * tu + uvTransform[3] * tv);
+            } else {
+                out.uvs.push(tu, tv);
+            }
+            out.tiles.push(tile);
+        }
+        
+        // Split along the brighter diagonal, so the darkening of one corner doesn't
+        // streak across the whole quad
+        if (levels[1] + levels[3] > levels[0] + levels[2]) {
+            out.indices.push(base + 1, base + 2, base + 3, base + 1, base + 3, base);
+        } else {
+            out.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
         }
+    }
+    
+    // Two quads crossing diagonally through a cell, like plants. Each is added facing both
+    // ways, so it shows from every side whatever the material culls.
+    addCross(out, cell, color, scale, tile) {
+        const inset = GreedyMesher.CROSS_INSET;
+        const [x, y, z] = cell;
+        const planes = [
+            [[x + inset, z + inset], [x + 1 - inset, z + 1 - inset]],
+            [[x + 1 - inset, z + inset], [x + inset, z + 1 - inset]]
+        ];
+        
+        planes.forEach(([start, end]) => {
+            [[start, end], [end, start]].forEach(([a, b]) => {
+                const base = out.positions.length / 3;
+                const dx = b[0] - a[0];
+                const dz = b[1] - a[1];
+                const length = Math.hypot(dx, dz);
+                
+                // Counter-clockwise as seen from the normal
+                [[a, y, 0, 0], [b, y, 1, 0], [b, y + 1, 1, 1], [a, y + 1, 0, 1]].forEach(([corner, cy, cu, cv]) => {
+                    out.positions.push(corner[0] * scale, cy * scale, corner[1] * scale);
+                    out.normals.push(-dz / length, 0, dx / length);
+                    out.colors.push(color.r, color.g, color.b, color.a);
+                    out.uvs.push(cu, cv);
+                    out.tiles.push(tile);
+                });
+                out.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+            });
+        });
+    }
+    
+    // Texture coordinates of a face corner from its position
+    static faceUV(vertex, d, step, scale) {
+        const x = vertex[0] * scale;
+        const y = vertex[1] * scale;
+        const z = vertex[2] * scale;
         
-        return { vertices, normals, uvs };
+        if (d === 0) return [step < 0 ? z : -z, y];
+        if (d === 1) return [x, step > 0 ? -z : z];
+        return [step < 0 ? -x : x, y];
     }
 }
 
+// Face names per axis, negative side first
+GreedyMesher.FACES = [
+    ['left', 'right'],
+    ['bottom', 'top'],
+    ['back', 'front']
+];
+
+// Corner offsets along (u, v) in AO bit order, and the color multiplier per AO level
+GreedyMesher.AO_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+GreedyMesher.AO_SHADES = [0.45, 0.65, 0.82, 1.0];
+GreedyMesher.NO_OCCLUSION = 0xFF;
+
+// How far crossed quads stay from the cell corners
+GreedyMesher.CROSS_INSET = 0.15;
+
 // Frustum Culling for chunk optimization
 class FrustumCuller {
     constructor(camera) {
@@ -208,6 +456,10 @@ class FrustumCuller {
     }
     
     update() {
+        // The camera sits outside the scene, and the renderer only updates its matrices
+        // when it draws later in the frame, so catch them up with this frame's move
+        this.camera.updateWorldMatrix(true, false);
+        
         this.matrix.multiplyMatrices(
             this.camera.projectionMatrix,
             this.camera.matrixWorldInverse
@@ -225,16 +477,26 @@ class FrustumCuller {
 }
 
 // LOD (Level of Detail) System
+// Level N meshes cells of 2^N voxels per side, so detail is 1 / 2^N
 class LODSystem {
     constructor() {
         this.levels = [
             { distance: 0, detail: 1.0 },    // Full detail
-            { distance: 32, detail: 0.5 },   // Half detail
-            { distance: 64, detail: 0.25 },  // Quarter detail
-            { distance: 128, detail: 0.1 }   // Minimal detail
+            { distance: 50, detail: 0.5 },   // 2x2x2 voxels per cell
+            { distance: 100, detail: 0.25 }  // 4x4x4 voxels per cell
         ];
     }
     
+    // Index of the level to use at a distance
+    getLevel(distance) {
+        for (let i = this.levels.length - 1; i >= 0; i--) {
+            if (distance >= this.levels[i].distance) {
+                return i;
+            }
+        }
+        return 0;
+    }
+    
     getDetailLevel(distance) {
         for (let i = this.levels.length - 1; i >= 0; i--) {
             if (distance >= this.levels[i].distance) {
@@ -250,55 +512,208 @@ class LODSystem {
 }
 
 // Occlusion Culling System
+// Each chunk records which of its faces can see each other through non-opaque voxels.
+// A breadth-first walk from the camera's chunk then only enters chunks reachable
+// through those openings, so sealed caves and mountain interiors are never drawn.
 class OcclusionCuller {
     constructor() {
-        this.occlusionMap = new Map();
-        this.raycast = new THREE.Raycaster();
+        this.visible = new Set();
+        this.enabled = true;
+        
+        // False when the camera's chunk isn't loaded; everything is drawn then
+        this.hasWalked = false;
     }
     
-    updateOcclusion(camera, chunks) {
-        this.occlusionMap.clear();
+    // Flood fill the open voxels of a chunk. Entry f of the result is a bitmask of the
+    // faces reachable from face f, in OcclusionCuller.FACES order.
+    static computeConnectivity(size, isOpen) {
+        const connectivity = new Uint8Array(6);
+        const total = size * size * size;
+        const area = size * size;
+        const visited = new Uint8Array(total);
+        const queue = new Int32Array(total);
         
-        // Simple occlusion: check if chunks are behind others
-        chunks.forEach(chunk => {
-            if (chunk.isEmpty) {
-                this.occlusionMap.set(chunk.id, false);
-                return;
+        for (let start = 0; start < total; start++) {
+            if (visited[start]) continue;
+            visited[start] = 1;
+            if (!isOpen(start % size, Math.floor(start / size) % size, Math.floor(start / area))) {
+                continue;
             }
             
-            // Calculate if chunk is occluded
-            const isOccluded = this.isChunkOccluded(camera, chunk, chunks);
-            this.occlusionMap.set(chunk.id, !isOccluded);
-        });
+            let head = 0;
+            let tail = 0;
+            let faces = 0;
+            queue[tail++] = start;
+            
+            while (head < tail) {
+                const index = queue[head++];
+                const x = index % size;
+                const y = Math.floor(index / size) % size;
+                const z = Math.floor(index / area);
+                
+                if (x === 0) faces |= 1;
+                if (x === size - 1) faces |= 2;
+                if (y === 0) faces |= 4;
+                if (y === size - 1) faces |= 8;
+                if (z === 0) faces |= 16;
+                if (z === size - 1) faces |= 32;
+                
+                for (let i = 0; i < 6; i++) {
+                    const [dx, dy, dz] = OcclusionCuller.DIRECTIONS[i];
+                    const nx = x + dx, ny = y + dy, nz = z + dz;
+                    if (nx < 0 || nx >= size || ny < 0 || ny >= size || nz < 0 || nz >= size) continue;
+                    
+                    const next = nx + ny * size + nz * area;
+                    if (visited[next]) continue;
+                    visited[next] = 1;
+                    if (isOpen(nx, ny, nz)) {
+                        queue[tail++] = next;
+                    }
+                }
+            }
+            
+            // Every face this region touches can see every other one
+            for (let f = 0; f < 6; f++) {
+                if (faces & (1 << f)) connectivity[f] |= faces;
+            }
+        }
+        
+        return connectivity;
     }
     
-    isChunkOccluded(camera, targetChunk, allChunks) {
-        // Simplified occlusion check
-        const direction = new THREE.Vector3();
-        direction.subVectors(targetChunk.center, camera.position).normalize();
+    // Walk outwards from the camera's chunk. canEnter() lets the caller restrict the walk,
+    // e.g. to loaded chunks inside the frustum. Chunks without connectivity count as open.
+    update(startChunk, canEnter) {
+        this.visible.clear();
+        this.hasWalked = !!startChunk;
+        if (!startChunk) return;
         
-        this.raycast.set(camera.position, direction);
+        this.visible.add(startChunk.id);
+        const queue = [{ chunk: startChunk, entry: -1, directions: 0 }];
         
-        // Check if any chunk blocks the view
-        for (const chunk of allChunks) {
-            if (chunk === targetChunk || chunk.isEmpty) continue;
+        for (let head = 0; head < queue.length; head++) {
+            const { chunk, entry, directions } = queue[head];
+            const open = entry === -1 || !chunk.connectivity ? 0x3F : chunk.connectivity[entry];
             
-            const intersects = this.raycast.intersectBox(chunk.boundingBox, new THREE.Vector3());
-            if (intersects) {
-                const distToIntersect = camera.position.distanceTo(intersects);
-                const distToTarget = camera.position.distanceTo(targetChunk.center);
+            for (let exit = 0; exit < 6; exit++) {
+                if (!(open & (1 << exit))) continue;
                 
-                if (distToIntersect < distToTarget) {
-                    return true; // Occluded
-                }
+                // Never step back towards the camera, or light could bend around corners
+                if (directions & (1 << (exit ^ 1))) continue;
+                
+                const neighbor = chunk.neighbors[OcclusionCuller.FACES[exit]];
+                if (!neighbor || this.visible.has(neighbor.id) || !canEnter(neighbor)) continue;
+                
+                this.visible.add(neighbor.id);
+                queue.push({ chunk: neighbor, entry: exit ^ 1, directions: directions | (1 << exit) });
             }
         }
-        
-        return false;
     }
     
     isVisible(chunkId) {
-        return this.occlusionMap.get(chunkId) !== false;
+        return !this.enabled || !this.hasWalked || this.visible.has(chunkId);
+    }
+}
+
+// Face order used by connectivity masks; opposite faces differ in the lowest bit
+OcclusionCuller.FACES = ['left', 'right', 'bottom', 'top', 'back', 'front'];
+OcclusionCuller.DIRECTIONS = [
+    [-1, 0, 0], [1, 0, 0],
+    [0, -1, 0], [0, 1, 0],
+    [0, 0, -1], [0, 0, 1]
+];
+
+// Build Scheduler for spreading chunk work over frames
+// Keeps a set of pending items, re-ranked by the caller every frame, and works through
+// them in priority order until the frame's time budget is spent.
+class BuildScheduler {
+    constructor(budget = 4) {
+        this.budget = budget; // milliseconds per frame
+        this.items = [];
+        this.queued = new Set();
+        
+        // Results of the last run()
+        this.lastBuildTime = 0;
+        this.lastBuildCount = 0;
+    }
+    
+    get size() {
+        return this.queued.size;
+    }
+    
+    has(item) {
+        return this.queued.has(item);
+    }
+    
+    add(item) {
+        if (this.queued.has(item)) return;
+        this.queued.add(item);
+        this.items.push(item);
+    }
+    
+    remove(item) {
+        if (!this.queued.delete(item)) return;
+        const index = this.items.indexOf(item);
+        if (index !== -1) {
+            this.items.splice(index, 1);
+        }
+    }
+    
+    clear() {
+        this.items = [];
+        this.queued.clear();
+    }
+    
+    // Drop items that keep() rejects, then order the rest by getPriority(), lowest first
+    prioritize(getPriority, keep = null) {
+        if (keep) {
+            this.items = this.items.filter(item => {
+                if (keep(item)) return true;
+                this.queued.delete(item);
+                return false;
+            });
+        }
+        
+        const priorities = new Map();
+        this.items.forEach(item => priorities.set(item, getPriority(item)));
+        this.items.sort((a, b) => priorities.get(a) - priorities.get(b));
+    }
+    
+    // Call build(item) in priority order until the budget runs out. Items that can't be
+    // built yet return false and stay queued. At least one item is built per call so the
+    // queue always moves, however slow a single build is.
+    run(build) {
+        const start = performance.now();
+        const items = this.items;
+        const waiting = [];
+        let built = 0;
+        
+        // Builds may queue new items; those land in a fresh list
+        this.items = [];
+        
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (!this.queued.has(item)) continue; // removed by an earlier build
+            
+            if (built > 0 && performance.now() - start >= this.budget) {
+                waiting.push(...items.slice(i));
+                break;
+            }
+            
+            this.queued.delete(item);
+            if (build(item) === false) {
+                this.queued.add(item);
+                waiting.push(item);
+            } else {
+                built++;
+            }
+        }
+        
+        // Unbuilt items keep their order, ahead of anything queued meanwhile
+        this.items = [...new Set(waiting.concat(this.items))].filter(item => this.queued.has(item));
+        this.lastBuildTime = performance.now() - start;
+        this.lastBuildCount = built;
+        return built;
     }
 }
 
@@ -413,6 +828,7 @@ const OptimizationUtils = {
     FrustumCuller,
     LODSystem,
     OcclusionCuller,
+    BuildScheduler,
     MemoryManager,
     BatchRenderer,
     
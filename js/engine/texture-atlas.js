@@ -0,0 +1,417 @@
+/**
+ * VoxelCraft Optimized - Texture Atlas
+ * Block textures packed into one image, painted procedurally or loaded from a PNG
+ */
+
+'use strict';
+
+// Tiles sit in a grid of COLUMNS columns, in the order of TextureAtlas.TILES. Each tile
+// is a light detail map that the shader multiplies with the face's vertex color, so a
+// block keeps its color from its definition and the tile only adds the pattern.
+// A PNG atlas with the same layout, at any tile size, can replace the painted one.
+class TextureAtlas {
+    constructor(tileSize = 16) {
+        this.tileSize = tileSize;
+        this.columns = TextureAtlas.COLUMNS;
+        this.rows = Math.ceil(TextureAtlas.TILES.length / this.columns);
+        
+        this.canvas = null;
+        this.texture = null;
+        
+        // Shared with every material using the atlas, so a loaded PNG updates them all
+        this.uniforms = {
+            atlasGrid: { value: new THREE.Vector2(this.columns, this.rows) },
+            atlasInset: { value: 0.5 / tileSize }
+        };
+    }
+    
+    // Tile number for a tile name; unknown names get the plain tile
+    static getTileIndex(name) {
+        const index = TextureAtlas.TILES.indexOf(name);
+        return index === -1 ? 0 : index;
+    }
+    
+    // Paint every tile onto a canvas and wrap it in a texture. Returns false where
+    // there is no canvas to paint on.
+    generate() {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!context) return false;
+        
+        const size = this.tileSize;
+        canvas.width = this.columns * size;
+        canvas.height = this.rows * size;
+        
+        const image = context.createImageData(canvas.width, canvas.height);
+        TextureAtlas.TILES.forEach((name, index) => {
+            const left = (index % this.columns) * size;
+            const top = Math.floor(index / this.columns) * size;
+            const random = TextureAtlas.createRandom(index + 1);
+            
+            // Painters give a brightness per pixel, 1 being the plain block color, or an
+            // [r, g, b] multiplier for tiles with colors of their own. Alpha 0 leaves a hole.
+            const set = (x, y, value, alpha = 1) => {
+                const offset = ((top + y) * canvas.width + left + x) * 4;
+                const rgb = Array.isArray(value) ? value : [value, value, value];
+                rgb.forEach((channel, i) => {
+                    image.data[offset + i] = Math.round(Math.max(0, Math.min(1, channel)) * 255);
+                });
+                image.data[offset + 3] = Math.round(alpha * 255);
+            };
+            
+            const painter = TextureAtlas.PAINTERS[name] || TextureAtlas.PAINTERS.plain;
+            painter(set, size, random);
+        });
+        context.putImageData(image, 0, 0);
+        
+        this.canvas = canvas;
+        this.texture = new THREE.CanvasTexture(canvas);
+        this.configureTexture();
+        return true;
+    }
+    
+    // Replace the painted tiles with a PNG using the same layout. Resolves with false,
+    // keeping the current tiles, when the image can't be used.
+    load(url) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => {
+                const tileSize = image.width / this.columns;
+                if (!Number.isInteger(tileSize) || image.height % tileSize !== 0) {
+                    console.warn(`Texture atlas ${url} must be ${this.columns} tiles wide with square tiles`);
+                    resolve(false);
+                    return;
+                }
+                
+                this.tileSize = tileSize;
+                this.uniforms.atlasGrid.value.set(this.columns, image.height / tileSize);
+                this.uniforms.atlasInset.value = 0.5 / tileSize;
+                
+                if (this.texture) {
+                    this.texture.image = image;
+                    this.texture.needsUpdate = true;
+                } else {
+                    this.texture = new THREE.Texture(image);
+                    this.configureTexture();
+                }
+                resolve(true);
+            };
+            image.onerror = () => {
+                console.warn(`Could not load texture atlas ${url}, keeping generated textures`);
+                resolve(false);
+            };
+            image.src = url;
+        });
+    }
+    
+    // Crisp pixels and no mipmaps: tiles repeat inside merged faces, and mipmaps would
+    // blur neighboring tiles into each other
+    configureTexture() {
+        this.texture.magFilter = THREE.NearestFilter;
+        this.texture.minFilter = THREE.NearestFilter;
+        this.texture.generateMipmaps = false;
+        this.texture.flipY = false;
+        this.texture.needsUpdate = true;
+    }
+    
+    // Make a material draw atlas tiles. Faces carry their tile number in the `tile`
+    // attribute and UVs in blocks, which repeat the tile across greedy-merged faces.
+    applyTo(material) {
+        if (!this.texture) return material;
+        
+        material.map = this.texture;
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.uniforms);
+            
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\nattribute float tile;\nvarying float vTile;')
+                .replace('#include <uv_vertex>', '#include <uv_vertex>\nvTile = tile;');
+            
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', [
+                    '#include <common>',
+                    'uniform vec2 atlasGrid;',
+                    'uniform float atlasInset;',
+                    'varying float vTile;'
+                ].join('\n'))
+                .replace('#include <map_fragment>', [
+                    '#ifdef USE_MAP',
+                    '    float tileIndex = floor(vTile + 0.5);',
+                    '    vec2 tileCell = vec2(mod(tileIndex, atlasGrid.x), floor(tileIndex / atlasGrid.x));',
+                    '    vec2 inTile = vec2(fract(vMapUv.x), 1.0 - fract(vMapUv.y));',
+                    '    inTile = clamp(inTile, atlasInset, 1.0 - atlasInset);',
+                    '    diffuseColor *= texture2D(map, (tileCell + inTile) / atlasGrid);',
+                    '#endif'
+                ].join('\n'));
+        };
+        material.needsUpdate = true;
+        return material;
+    }
+    
+    // Small seeded generator, so the painted tiles look the same on every load
+    static createRandom(seed) {
+        let state = Math.imul(seed, 0x9E3779B1);
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    dispose() {
+        if (this.texture) {
+            this.texture.dispose();
+            this.texture = null;
+        }
+    }
+}
+
+// Tiles per atlas row
+TextureAtlas.COLUMNS = 8;
+
+// Tile names in atlas order. Blocks pick tiles by name through their `texture` property.
+// New tiles go at the end so existing PNG atlases keep their layout.
+TextureAtlas.TILES = [
+    'plain',
+    'stone',
+    'dirt',
+    'grass',
+    'sand',
+    'water',
+    'wood',
+    'leaves',
+    'bedrock',
+    'torch',
+    'glowstone',
+    'grass_side',
+    'wood_top',
+    'tall_grass',
+    'flower',
+    'snow',
+    'ice'
+];
+
+// Pixel-art painters: set(x, y, brightness) for every pixel of a size x size tile
+TextureAtlas.PAINTERS = {
+    plain(set, size) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) set(x, y, 1);
+        }
+    },
+    
+    // Gray speckles with a few dark cracks
+    stone(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) set(x, y, 0.82 + random() * 0.18);
+        }
+        for (let crack = 0; crack < 3; crack++) {
+            let x = Math.floor(random() * size);
+            let y = Math.floor(random() * size);
+            for (let step = 0; step < size / 3; step++) {
+                set(x, y, 0.62);
+                x = (x + (random() < 0.5 ? 1 : 0)) % size;
+                y = (y + (random() < 0.5 ? 1 : -1) + size) % size;
+            }
+        }
+    },
+    
+    // Fine grain with darker clumps and light pebbles
+    dirt(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const r = random();
+                set(x, y, r < 0.12 ? 0.68 : (r > 0.94 ? 1 : 0.84 + random() * 0.1));
+            }
+        }
+    },
+    
+    // Blades of grass as short vertical streaks
+    grass(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) set(x, y, 0.86 + random() * 0.08);
+        }
+        for (let blade = 0; blade < size * 2; blade++) {
+            const x = Math.floor(random() * size);
+            const y = Math.floor(random() * size);
+            const value = random() < 0.5 ? 0.72 : 1;
+            set(x, y, value);
+            set(x, (y + 1) % size, value);
+        }
+    },
+    
+    // Light, even grain
+    sand(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                set(x, y, random() < 0.08 ? 0.8 : 0.92 + random() * 0.08);
+            }
+        }
+    },
+    
+    // Gentle horizontal ripples
+    water(set, size, random) {
+        const phase = random() * Math.PI * 2;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const wave = Math.sin((x / size) * Math.PI * 4 + phase + y * 0.9);
+                set(x, y, wave > 0.75 ? 1 : 0.86 + random() * 0.04);
+            }
+        }
+    },
+    
+    // Bark: vertical stripes of varying darkness
+    wood(set, size, random) {
+        const stripes = [];
+        for (let x = 0; x < size; x++) {
+            stripes.push(random() < 0.3 ? 0.66 : 0.8 + random() * 0.15);
+        }
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) set(x, y, stripes[x] + (random() - 0.5) * 0.06);
+        }
+    },
+    
+    // Leaf clusters with dark gaps
+    leaves(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const r = random();
+                set(x, y, r < 0.18 ? 0.55 : (r > 0.85 ? 1 : 0.82));
+            }
+        }
+    },
+    
+    // High-contrast blotches
+    bedrock(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const r = random();
+                set(x, y, r < 0.3 ? 0.5 : (r > 0.8 ? 1 : 0.75));
+            }
+        }
+    },
+    
+    // A bright flame on a darker stick
+    torch(set, size, random) {
+        const center = (size - 1) / 2;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const dx = Math.abs(x - center);
+                const inFlame = y < size * 0.4 && dx < size * 0.2;
+                const inStick = y >= size * 0.4 && dx < size * 0.1;
+                set(x, y, inFlame ? 1 : (inStick ? 0.6 : 0.78 + random() * 0.06));
+            }
+        }
+    },
+    
+    // Glowing crystal cells with bright centers
+    glowstone(set, size, random) {
+        const cells = [];
+        for (let i = 0; i < 6; i++) {
+            cells.push([random() * size, random() * size]);
+        }
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let nearest = Infinity;
+                cells.forEach(([cx, cy]) => {
+                    nearest = Math.min(nearest, Math.hypot(x - cx, y - cy));
+                });
+                set(x, y, 1 - Math.min(nearest / size, 0.3) + random() * 0.04);
+            }
+        }
+    },
+    
+    // Dirt grain under a bright, ragged fringe where the grass top hangs over the side
+    grass_side(set, size, random) {
+        TextureAtlas.PAINTERS.dirt(set, size, random);
+        for (let x = 0; x < size; x++) {
+            const fringe = Math.ceil(size / 8) + Math.floor(random() * (size / 6));
+            for (let y = 0; y < fringe; y++) set(x, y, 1);
+        }
+    },
+    
+    // Log ends: rings around the center of the tile
+    wood_top(set, size, random) {
+        const center = (size - 1) / 2;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const ring = Math.floor(Math.hypot(x - center, y - center) * 1.2) % 3;
+                set(x, y, (ring === 0 ? 0.74 : 0.92) + random() * 0.05);
+            }
+        }
+    },
+    
+    // Blades rising from the bottom edge, leaning a little, on a clear background
+    tall_grass(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) set(x, y, 0, 0);
+        }
+        for (let blade = 0; blade < size / 2; blade++) {
+            let x = Math.floor(random() * size);
+            const height = Math.floor(size * (0.4 + random() * 0.55));
+            const lean = random() < 0.5 ? -1 : 1;
+            for (let h = 0; h < height; h++) {
+                if (h > 0 && random() < 0.2) x = (x + lean + size) % size;
+                set(x, size - 1 - h, 0.7 + (h / height) * 0.3);
+            }
+        }
+    },
+    
+    // A green stem and leaves under a red bloom with a yellow heart. The flower block is
+    // white, so these colors show as painted.
+    flower(set, size, random) {
+        const center = Math.floor(size / 2);
+        const bloom = Math.floor(size * 0.3);
+        const radius = Math.max(1.5, size / 6);
+        const stem = [0.3, 0.65, 0.2];
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) set(x, y, 0, 0);
+        }
+        for (let y = bloom; y < size; y++) {
+            set(center, y, stem);
+        }
+        for (let i = 1; i <= size / 5; i++) {
+            set(center - i, size - 1 - Math.floor(size / 4) - i, stem);
+            set(center + i, size - 1 - Math.floor(size / 3) - i, stem);
+        }
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const distance = Math.hypot(x - center, y - bloom);
+                if (distance < radius * 0.5) {
+                    set(x, y, [1, 0.85, 0.2]);
+                } else if (distance < radius) {
+                    set(x, y, [0.85 + random() * 0.15, 0.15, 0.15]);
+                }
+            }
+        }
+    },
+    
+    // Bright and nearly flat, with faint blue-gray dimples
+    snow(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                set(x, y, random() < 0.06 ? 0.9 : 0.97 + random() * 0.03);
+            }
+        }
+    },
+    
+    // Smooth, with a few pale diagonal cracks
+    ice(set, size, random) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) set(x, y, 0.9 + random() * 0.03);
+        }
+        for (let crack = 0; crack < 2; crack++) {
+            let x = Math.floor(random() * size);
+            let y = Math.floor(random() * size);
+            for (let step = 0; step < size / 2; step++) {
+                set(x, y, 1);
+                x = (x + 1) % size;
+                y = (y + (random() < 0.7 ? 1 : 0)) % size;
+            }
+        }
+    }
+};
+
+// Export
+window.TextureAtlas = TextureAtlas;
@@ -0,0 +1,163 @@
+/**
+ * VoxelCraft Optimized - Voxel Storage
+ * Compact block storage for a chunk: single value, bit-packed palette, RLE for saving
+ */
+
+'use strict';
+
+// Holds size^3 block ids. A chunk made of one block type stores just that type; once it
+// holds several, each voxel stores an index into a palette using 1, 2, 4, 8 or 16 bits.
+// Block ids themselves are plain numbers, so they are not limited to 8 bits.
+class VoxelStorage {
+    constructor(size, value = 0) {
+        this.size = size;
+        this.volume = size * size * size;
+        this.fill(value);
+    }
+    
+    // Make every voxel the same block, dropping the palette
+    fill(value) {
+        this.value = value;
+        this.palette = null;
+        this.counts = null;
+        this.bits = 0;
+        this.words = null;
+    }
+    
+    get isUniform() {
+        return this.palette === null;
+    }
+    
+    get(index) {
+        if (this.palette === null) return this.value;
+        return this.palette[this.readIndex(index)];
+    }
+    
+    // Returns true when the voxel changed
+    set(index, value) {
+        if (this.palette === null) {
+            if (value === this.value) return false;
+            this.createPalette();
+        }
+        
+        const old = this.readIndex(index);
+        if (this.palette[old] === value) return false;
+        
+        const entry = this.getPaletteEntry(value);
+        this.writeIndex(index, entry);
+        this.counts[old]--;
+        this.counts[entry]++;
+        
+        // Back to a single block type
+        if (this.counts[entry] === this.volume) {
+            this.fill(value);
+        }
+        return true;
+    }
+    
+    readIndex(index) {
+        const bit = index * this.bits;
+        return (this.words[bit >>> 5] >>> (bit & 31)) & ((1 << this.bits) - 1);
+    }
+    
+    writeIndex(index, entry) {
+        const bit = index * this.bits;
+        const mask = ((1 << this.bits) - 1) << (bit & 31);
+        const word = bit >>> 5;
+        this.words[word] = (this.words[word] & ~mask) | ((entry << (bit & 31)) & mask);
+    }
+    
+    createPalette() {
+        this.palette = [this.value];
+        this.counts = [this.volume];
+        this.bits = 1;
+        this.words = new Uint32Array(Math.ceil(this.volume / 32));
+    }
+    
+    // Palette slot for a block, reusing unused slots and widening entries when full
+    getPaletteEntry(value) {
+        let entry = this.palette.indexOf(value);
+        if (entry !== -1) return entry;
+        
+        entry = this.counts.indexOf(0);
+        if (entry !== -1) {
+            this.palette[entry] = value;
+            return entry;
+        }
+        
+        entry = this.palette.length;
+        this.palette.push(value);
+        this.counts.push(0);
+        if (entry >= (1 << this.bits)) {
+            this.resize(this.bits * 2);
+        }
+        return entry;
+    }
+    
+    resize(bits) {
+        const entries = new Uint32Array(this.volume);
+        for (let i = 0; i < this.volume; i++) {
+            entries[i] = this.readIndex(i);
+        }
+        
+        this.bits = bits;
+        this.words = new Uint32Array(Math.ceil(this.volume * bits / 32));
+        for (let i = 0; i < this.volume; i++) {
+            this.writeIndex(i, entries[i]);
+        }
+    }
+    
+    // Number of voxels that are not air
+    countSolid() {
+        if (this.palette === null) {
+            return this.value !== 0 ? this.volume : 0;
+        }
+        
+        const air = this.palette.indexOf(0);
+        return air === -1 || this.counts[air] === 0 ? this.volume : this.volume - this.counts[air];
+    }
+    
+    get byteLength() {
+        return this.words ? this.words.byteLength + this.palette.length * 8 : 0;
+    }
+    
+    // Run-length encode as [length, block, length, block, ...] for saving or posting
+    serialize() {
+        const runs = [];
+        let current = this.get(0);
+        let length = 0;
+        
+        for (let i = 0; i < this.volume; i++) {
+            const value = this.get(i);
+            if (value !== current) {
+                runs.push(length, current);
+                current = value;
+                length = 0;
+            }
+            length++;
+        }
+        runs.push(length, current);
+        
+        return { size: this.size, runs: new Uint32Array(runs) };
+    }
+    
+    static deserialize(data) {
+        const storage = new VoxelStorage(data.size);
+        const runs = data.runs;
+        if (runs.length === 2) {
+            storage.fill(runs[1]);
+            return storage;
+        }
+        
+        let index = 0;
+        for (let i = 0; i < runs.length; i += 2) {
+            for (let end = index + runs[i]; index < end; index++) {
+                storage.set(index, runs[i + 1]);
+            }
+        }
+        return storage;
+    }
+}
+
+// Export
+window.VoxelStorage = VoxelStorage;
@@ -0,0 +1,153 @@
+/**
+ * VoxelCraft Optimized - Worker Pool
+ * Runs chunk generation and meshing jobs on background threads
+ */
+
+'use strict';
+
+class ChunkWorkerPool {
+    constructor(scriptUrl = 'js/engine/chunk-worker.js', size = ChunkWorkerPool.getDefaultSize()) {
+        this.scriptUrl = scriptUrl;
+        this.workers = [];
+        this.idleWorkers = [];
+        
+        // Jobs waiting for a worker, and jobs currently running, keyed by job key
+        this.pending = [];
+        this.running = new Map();
+        
+        this.failed = false;
+        
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker(this.scriptUrl);
+            worker.onmessage = (e) => this.onMessage(worker, e.data);
+            worker.onerror = (e) => this.onError(worker, e);
+            
+            this.workers.push(worker);
+            this.idleWorkers.push(worker);
+        }
+    }
+    
+    // Leave one core for the main thread, and don't spin up more than a handful
+    static getDefaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+    
+    // Workers need a real origin; pages opened from file:// can't start them
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+               typeof location !== 'undefined' &&
+               location.protocol !== 'file:';
+    }
+    
+    get idleCount() {
+        return this.idleWorkers.length;
+    }
+    
+    // Queue a job. Resolves with the worker's reply, or null if the job was cancelled.
+    run(key, message) {
+        if (this.failed) {
+            return Promise.reject(new Error('Worker pool unavailable'));
+        }
+        
+        // Only one job per key; a new request replaces an older one
+        this.cancel(key);
+        
+        return new Promise((resolve, reject) => {
+            const job = { key, message, resolve, reject, cancelled: false };
+            this.pending.push(job);
+            this.dispatch();
+        });
+    }
+    
+    // Cancel a queued or running job. Running jobs finish, but their result is dropped.
+    cancel(key) {
+        const index = this.pending.findIndex(job => job.key === key);
+        if (index !== -1) {
+            const [job] = this.pending.splice(index, 1);
+            job.resolve(null);
+        }
+        
+        this.running.forEach(job => {
+            if (job.key === key && !job.cancelled) {
+                job.cancelled = true;
+                job.resolve(null);
+            }
+        });
+    }
+    
+    isBusy(key) {
+        if (this.pending.some(job => job.key === key)) return true;
+        
+        for (const job of this.running.values()) {
+            if (job.key === key && !job.cancelled) return true;
+        }
+        return false;
+    }
+    
+    dispatch() {
+        while (this.idleWorkers.length > 0 && this.pending.length > 0) {
+            const worker = this.idleWorkers.pop();
+            const job = this.pending.shift();
+            
+            this.running.set(worker, job);
+            worker.postMessage(job.message);
+        }
+    }
+    
+    onMessage(worker, data) {
+        const job = this.running.get(worker);
+        this.running.delete(worker);
+        this.idleWorkers.push(worker);
+        
+        if (job && !job.cancelled) {
+            if (data.error) {
+                job.reject(new Error(data.error));
+            } else {
+                job.resolve(data);
+            }
+        }
+        
+        this.dispatch();
+    }
+    
+    onError(worker, event) {
+        // A worker that fails to load its scripts will fail every job, so give up on the pool
+        console.error('Chunk worker error:', event.message || event);
+        if (event.preventDefault) event.preventDefault();
+        this.failed = true;
+        
+        const error = new Error('Chunk worker failed: ' + (event.message || 'unknown error'));
+        this.running.forEach(job => {
+            if (!job.cancelled) job.reject(error);
+        });
+        this.pending.forEach(job => job.reject(error));
+        
+        this.running.clear();
+        this.pending = [];
+        this.dispose();
+    }
+    
+    getStats() {
+        return {
+            workers: this.workers.length,
+            idle: this.idleWorkers.length,
+            running: this.running.size,
+            pending: this.pending.length
+        };
+    }
+    
+    dispose() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+        
+        this.pending.forEach(job => job.resolve(null));
+        this.pending = [];
+        this.running.forEach(job => job.resolve(null));
+        this.running.clear();
+    }
+}
+
+// Export
+window.ChunkWorkerPool = ChunkWorkerPool;
@@ -13,7 +13,7 @@ const GameState = {
     isPaused: false,
     isMobile: false,
     settings: {
-        renderDistance: 4, // chunks
+        renderDistance: 6, // chunks, distant ones are meshed at lower LOD
         fov: 75,
         mouseSensitivity: 0.002,
         touchSensitivity: 0.003,
@@ -21,7 +21,13 @@ const GameState = {
         enableShadows: false, // Disabled for performance
         enablePostProcessing: false,
         chunkSize: 16,
-        worldHeight: 64,
+        minHeight: -32, // bedrock layer
+        worldHeight: 128, // blocks from bedrock to the build limit
+        buildBudget: 4, // ms per frame for generating and meshing chunks
+        randomTickSpeed: 3, // voxels per chunk picked for random ticks, 20 times a second; 0 stops them
+        textureAtlas: null, // URL of a PNG atlas replacing the generated block textures
+        blocks: null, // URL of a JSON file with extra block definitions
+        seed: null, // world seed, a number or text; null asks on the new-world screen
         enableDebug: false
     },
     performance: {
@@ -31,7 +37,8 @@ const GameState = {
         triangles: 0,
         memory: 0,
         chunks: 0,
-        blocks: 0
+        blocks: 0,
+        biome: ''
     }
 };
 
@@ -90,6 +97,9 @@ class VoxelCraftGame {
             this.updateLoadingStatus('Setting up scene...');
             this.setupScene();
             
+            // Pick the world seed
+            await this.chooseSeed();
+            
             // Initialize world generation
             this.updateLoadingStatus('Generating world...');
             await this.initWorld();
@@ -113,7 +123,7 @@ class VoxelCraftGame {
             this.animate();
             
             console.log(`VoxelCraft ${GameState.version} initialized successfully!`);
-            
+        
         } catch (error) {
             console.error('Failed to initialize game:', error);
             this.showError('Failed to initialize game: ' + error.message);
@@ -270,10 +280,81 @@ class VoxelCraftGame {
         this.scene.add(sky);
     }
     
+    // Seed from ?seed= in the URL, the seed setting, or the new-world screen, where a blank
+    // seed picks a random one. The URL then carries the seed, with numbers in the form
+    // that makes the world, so reloading the page or sharing the link opens the same world.
+    async chooseSeed() {
+        const params = new URLSearchParams(window.location.search);
+        let seed = params.get('seed');
+        if (seed === null && GameState.settings.seed !== null) {
+            seed = String(GameState.settings.seed);
+        }
+        if (seed === null) {
+            seed = await this.showNewWorldScreen();
+        }
+        if (seed.trim() === '') {
+            seed = String(TerrainGenerator.randomSeed());
+        }
+        
+        GameState.settings.seed = TerrainGenerator.normalizeSeed(seed);
+        params.set('seed', GameState.settings.seed);
+        window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+    }
+    
+    // Ask for a seed on the loading screen; resolves with what was typed
+    showNewWorldScreen() {
+        const form = document.getElementById('newWorldForm');
+        const input = document.getElementById('seedInput');
+        const loader = document.querySelector('#loadingScreen .loader');
+        if (!form || !input) return Promise.resolve('');
+        
+        this.updateLoadingStatus('Create a new world');
+        if (loader) loader.style.display = 'none';
+        form.style.display = 'flex';
+        input.focus();
+        
+        return new Promise(resolve => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                form.style.display = 'none';
+                if (loader) loader.style.display = '';
+                resolve(input.value);
+            }, { once: true });
+        });
+    }
+    
     async initWorld() {
         // Initialize world with terrain generation
         if (typeof World !== 'undefined') {
-            this.world = new World(this.scene);
+            // Custom blocks must be registered before any chunk is meshed;
+            // ?blocks=blocks/custom.json overrides the setting
+            const blocksUrl = new URLSearchParams(window.location.search).get('blocks') ||
+                GameState.settings.blocks;
+            if (blocksUrl) {
+                try {
+                    // Only files from this site; a shared link can't pull in someone else's
+                    if (new URL(blocksUrl, window.location.href).origin !== window.location.origin) {
+                        throw new Error(`${blocksUrl} is not on this site`);
+                    }
+                    await BlockRegistry.load(blocksUrl);
+                } catch (error) {
+                    console.warn('Custom blocks not loaded:', error.message);
+                }
+            }
+            
+            this.world = new World(this.scene, {
+                camera: this.camera,
+                chunkSize: GameState.settings.chunkSize,
+                renderDistance: GameState.settings.renderDistance,
+                minHeight: GameState.settings.minHeight,
+                worldHeight: GameState.settings.worldHeight,
+                buildBudget: GameState.settings.buildBudget,
+                randomTickSpeed: GameState.settings.randomTickSpeed,
+                seed: GameState.settings.seed,
+                // ?atlas=textures/atlas.png overrides the setting
+                textureAtlas: new URLSearchParams(window.location.search).get('atlas') ||
+                    GameState.settings.textureAtlas
+            });
             await this.world.generate();
             
             // Update performance stats
@@ -305,12 +386,22 @@ class VoxelCraftGame {
         }
         
         this.controls.init();
+        
+        // Start standing on the ground in the middle of the spawn block
+        if (this.world && this.controls.setPosition) {
+            const ground = this.world.getGroundHeight(0.5, 0.5);
+            this.controls.setPosition(0.5, ground + this.controls.eyeHeight, 0.5);
+        }
     }
     
     initHUD() {
         if (typeof HUD !== 'undefined') {
             this.hud = new HUD();
             this.hud.init();
+            if (this.world) {
+                // The seed as given, not the number text seeds are hashed to
+                this.hud.setSeed(GameState.settings.seed);
+            }
         } else {
             console.warn('HUD not loaded');
         }
@@ -336,6 +427,13 @@ class VoxelCraftGame {
             }
         });
         
+        // Save block edits before the page goes away
+        window.addEventListener('pagehide', () => {
+            if (this.world && this.world.save) {
+                this.world.save();
+            }
+        });
+        
         // Debug toggle
         window.addEventListener('keydown', (e) => {
             if (e.key === 'F3') {
@@ -405,6 +503,7 @@ class VoxelCraftGame {
         // Update world
         if (this.world && this.world.update) {
             this.world.update(this.camera.position, deltaTime);
+            GameState.performance.biome = this.world.getBiomeAt(this.camera.position.x, this.camera.position.z).name;
         }
         
         // Update HUD
@@ -24,13 +24,17 @@ class HUD {
         this.elements.blockCount = document.getElementById('blockCount');
         this.elements.drawCalls = document.getElementById('drawCalls');
         this.elements.memoryUsage = document.getElementById('memoryUsage');
+        this.elements.biomeName = document.getElementById('biomeName');
+        this.elements.worldSeed = document.getElementById('worldSeed');
         this.elements.versionDisplay = document.getElementById('versionDisplay');
+        this.elements.selectedBlock = document.getElementById('selectedBlock');
         
         // Setup debug toggle
         this.setupDebugToggle();
         
         // Initialize displays
         this.updateVersion();
+        this.setSelectedBlock(PlaceableBlocks[0]);
     }
     
     setupDebugToggle() {
@@ -101,6 +105,10 @@ class HUD {
             if (this.elements.memoryUsage) {
                 this.elements.memoryUsage.textContent = performance.memory || 0;
             }
+            
+            if (this.elements.biomeName) {
+                this.elements.biomeName.textContent = performance.biome || '-';
+            }
         }
     }
     
@@ -110,6 +118,28 @@ class HUD {
         }
     }
     
+    // Seed of the world as the player entered it, numbers normalized, in the debug panel
+    setSeed(seed) {
+        if (this.elements.worldSeed) {
+            this.elements.worldSeed.textContent = seed;
+        }
+    }
+    
+    // Show the block the player will place, with a swatch of its color
+    setSelectedBlock(type) {
+        const block = BlockRegistry.get(type);
+        if (!this.elements.selectedBlock || !block) return;
+        
+        // Names may come from a loaded block file, so they are only ever set as text
+        const swatch = document.createElement('span');
+        swatch.className = 'block-swatch';
+        swatch.style.background = '#' + block.color.toString(16).padStart(6, '0');
+        
+        this.elements.selectedBlock.textContent = '';
+        this.elements.selectedBlock.appendChild(swatch);
+        this.elements.selectedBlock.appendChild(document.createTextNode(block.name));
+    }
+    
     formatNumber(num) {
         if (num >= 1000000) {
             return (num / 1000000).toFixed(1) + 'M';
@@ -0,0 +1,113 @@
+/**
+ * VoxelCraft Optimized - Biomes
+ * Climate zones with their own terrain height, surface blocks, water and decorations
+ */
+
+'use strict';
+
+// Every biome sits at a point of the climate map, a `temperature` and a `humidity` from
+// -1 to 1, and each column of terrain takes the biome closest to its own climate (see
+// TerrainGenerator.getColumnAt). Heights blend between biomes near their borders.
+//   baseHeight, heightVariation  surface height, and how far the terrain noise moves it
+//   surface, filler              top block, and the few blocks under it
+//   underwater                   top block of columns below the water level
+//   snowLine                     height from which the top block is snow, if any
+//   frozen                       water freezes over at the water level
+//   trees                        tree noise threshold, lower grows more; null for none
+//   tallGrass, flowers           plant noise thresholds, as for trees
+const Biomes = [
+    {
+        id: 'ocean',
+        name: 'Ocean',
+        temperature: 0.1,
+        humidity: 0.8,
+        baseHeight: 12,
+        heightVariation: 10,
+        surface: BlockType.SAND,
+        filler: BlockType.SAND,
+        underwater: BlockType.SAND,
+        frozen: false,
+        trees: null,
+        tallGrass: null,
+        flowers: null
+    },
+    {
+        id: 'plains',
+        name: 'Plains',
+        temperature: 0.3,
+        humidity: -0.1,
+        baseHeight: 31,
+        heightVariation: 8,
+        surface: BlockType.GRASS,
+        filler: BlockType.DIRT,
+        underwater: BlockType.SAND,
+        frozen: false,
+        trees: 0.7,
+        tallGrass: 0.4,
+        flowers: 0.6
+    },
+    {
+        id: 'forest',
+        name: 'Forest',
+        temperature: 0.2,
+        humidity: 0.4,
+        baseHeight: 34,
+        heightVariation: 14,
+        surface: BlockType.GRASS,
+        filler: BlockType.DIRT,
+        underwater: BlockType.SAND,
+        frozen: false,
+        trees: 0,
+        tallGrass: 0.55,
+        flowers: 0.8
+    },
+    {
+        id: 'desert',
+        name: 'Desert',
+        temperature: 0.75,
+        humidity: -0.6,
+        baseHeight: 30,
+        heightVariation: 6,
+        surface: BlockType.SAND,
+        filler: BlockType.SAND,
+        underwater: BlockType.SAND,
+        frozen: false,
+        trees: null,
+        tallGrass: null,
+        flowers: null
+    },
+    {
+        id: 'mountains',
+        name: 'Mountains',
+        temperature: -0.3,
+        humidity: -0.4,
+        baseHeight: 50,
+        heightVariation: 56,
+        surface: BlockType.GRASS,
+        filler: BlockType.DIRT,
+        underwater: BlockType.STONE,
+        snowLine: 62,
+        frozen: false,
+        trees: 0.45,
+        tallGrass: 0.7,
+        flowers: null
+    },
+    {
+        id: 'tundra',
+        name: 'Snowy Tundra',
+        temperature: -0.75,
+        humidity: 0.2,
+        baseHeight: 32,
+        heightVariation: 10,
+        surface: BlockType.SNOW,
+        filler: BlockType.DIRT,
+        underwater: BlockType.DIRT,
+        frozen: true,
+        trees: 0.5,
+        tallGrass: null,
+        flowers: null
+    }
+];
+
+// Export
+window.Biomes = Biomes;
@@ -1,11 +1,11 @@
 /**
  * VoxelCraft Optimized - Block System
- * Defines block types and properties
+ * Defines block types and the registry of block definitions
  */
 
 'use strict';
 
-// Block types enumeration
+// Block types enumeration. Registered blocks add their own keys.
 const BlockType = {
     AIR: 0,
     GRASS: 1,
@@ -15,200 +15,750 @@ const BlockType = {
     WATER: 5,
     WOOD: 6,
     LEAVES: 7,
-    BEDROCK: 8
+    BEDROCK: 8,
+    TORCH: 9,
+    GLOWSTONE: 10,
+    STONE_SLAB: 11,
+    STONE_STAIRS: 12,
+    TALL_GRASS: 13,
+    FLOWER: 14,
+    SNOW: 15,
+    ICE: 16
 };
 
-// Block properties
-const BlockProperties = {
-    [BlockType.AIR]: {
-        name: 'Air',
-        solid: false,
-        transparent: true,
-        color: 0x000000,
-        opacity: 0
-    },
-    [BlockType.GRASS]: {
+// Built-in blocks, in the same shape as block definition JSON files. `color` and
+// `texture` (an atlas tile name) apply to every face unless `faces` overrides them for
+// `top`, `bottom`, `side` (all four sides) or a single side: `left`, `right`, `back`,
+// `front`. A hardness of -1 makes a block unbreakable. `rotation` lets placed blocks turn,
+// see BlockRegistry.getPlacementState, and `shape` gives blocks other than full cubes,
+// see BlockRegistry.SHAPES. `fluid` blocks flow, see FluidSimulator, and `gravity`
+// blocks fall when nothing holds them up, see FallingBlocks. Leaves and other `decay`
+// blocks fall apart that far from any wood, see RandomTicks.
+const DefaultBlocks = [
+    { id: BlockType.AIR, name: 'Air', solid: false, transparent: true, color: 0x000000, opacity: 0, hardness: 0 },
+    {
+        id: BlockType.GRASS,
         name: 'Grass',
-        solid: true,
-        transparent: false,
         color: 0x7CFC00,
-        opacity: 1,
-        topColor: 0x7CFC00,
-        sideColor: 0x8B7355,
-        bottomColor: 0x8B4513
-    },
-    [BlockType.DIRT]: {
-        name: 'Dirt',
-        solid: true,
-        transparent: false,
-        color: 0x8B4513,
-        opacity: 1
+        hardness: 0.6,
+        texture: 'grass',
+        faces: {
+            side: { color: 0x8B7355, texture: 'grass_side' },
+            bottom: { color: 0x8B4513, texture: 'dirt' }
+        }
     },
-    [BlockType.STONE]: {
-        name: 'Stone',
-        solid: true,
-        transparent: false,
-        color: 0x808080,
-        opacity: 1
-    },
-    [BlockType.SAND]: {
-        name: 'Sand',
-        solid: true,
-        transparent: false,
-        color: 0xF4E4BC,
-        opacity: 1
-    },
-    [BlockType.WATER]: {
+    { id: BlockType.DIRT, name: 'Dirt', color: 0x8B4513, hardness: 0.5, texture: 'dirt' },
+    { id: BlockType.STONE, name: 'Stone', color: 0x808080, hardness: 1.5, texture: 'stone' },
+    { id: BlockType.SAND, name: 'Sand', color: 0xF4E4BC, hardness: 0.5, texture: 'sand', gravity: true },
+    {
+        id: BlockType.WATER,
         name: 'Water',
         solid: false,
         transparent: true,
         color: 0x006994,
-        opacity: 0.8
+        opacity: 0.8,
+        hardness: 0,
+        texture: 'water',
+        fluid: { range: 7, delay: 5 }
     },
-    [BlockType.WOOD]: {
+    {
+        id: BlockType.WOOD,
         name: 'Wood',
-        solid: true,
-        transparent: false,
         color: 0x8B4513,
-        opacity: 1
+        hardness: 2,
+        texture: 'wood',
+        rotation: 'axis',
+        faces: {
+            top: { color: 0xB5835A, texture: 'wood_top' },
+            bottom: { color: 0xB5835A, texture: 'wood_top' }
+        }
     },
-    [BlockType.LEAVES]: {
-        name: 'Leaves',
-        solid: true,
+    { id: BlockType.LEAVES, name: 'Leaves', transparent: true, color: 0x228B22, opacity: 0.9, hardness: 0.2, texture: 'leaves', decay: 4 },
+    { id: BlockType.BEDROCK, name: 'Bedrock', color: 0x2F4F4F, hardness: -1, texture: 'bedrock' },
+    {
+        id: BlockType.TORCH,
+        name: 'Torch',
+        solid: false,
         transparent: true,
-        color: 0x228B22,
-        opacity: 0.9
+        color: 0xFFB347,
+        hardness: 0,
+        texture: 'torch',
+        shape: 'torch',
+        lightLevel: 14,
+        lightColor: 0xFFA040
     },
-    [BlockType.BEDROCK]: {
-        name: 'Bedrock',
-        solid: true,
-        transparent: false,
-        color: 0x2F4F4F,
-        opacity: 1,
-        unbreakable: true
-    }
-};
+    {
+        id: BlockType.GLOWSTONE,
+        name: 'Glowstone',
+        color: 0xFFD37A,
+        hardness: 0.3,
+        texture: 'glowstone',
+        lightLevel: 15,
+        lightColor: 0xFFE0A0
+    },
+    { id: BlockType.STONE_SLAB, name: 'Stone Slab', color: 0x808080, hardness: 1.5, texture: 'stone', shape: 'slab', rotation: 'slab' },
+    { id: BlockType.STONE_STAIRS, name: 'Stone Stairs', color: 0x808080, hardness: 1.5, texture: 'stone', shape: 'stairs', rotation: 'stairs' },
+    {
+        id: BlockType.TALL_GRASS,
+        name: 'Tall Grass',
+        solid: false,
+        transparent: true,
+        color: 0x5DBB2A,
+        hardness: 0,
+        texture: 'tall_grass',
+        shape: 'cross'
+    },
+    {
+        id: BlockType.FLOWER,
+        name: 'Flower',
+        solid: false,
+        transparent: true,
+        color: 0xFFFFFF,
+        hardness: 0,
+        texture: 'flower',
+        shape: 'cross'
+    },
+    { id: BlockType.SNOW, name: 'Snow', color: 0xF4F8FB, hardness: 0.2, texture: 'snow' },
+    { id: BlockType.ICE, name: 'Ice', transparent: true, color: 0xA5CFEF, opacity: 0.8, hardness: 0.5, texture: 'ice' }
+];
+
+// Blocks the player can place, in hotbar order. Registered blocks marked `placeable`
+// are added at the end.
+const PlaceableBlocks = [
+    BlockType.STONE,
+    BlockType.DIRT,
+    BlockType.GRASS,
+    BlockType.SAND,
+    BlockType.WOOD,
+    BlockType.LEAVES,
+    BlockType.TORCH,
+    BlockType.GLOWSTONE,
+    BlockType.STONE_SLAB,
+    BlockType.STONE_STAIRS,
+    BlockType.FLOWER
+];
 
-// Block manager class
-class BlockManager {
-    constructor() {
-        this.materials = new Map();
-        this.geometries = new Map();
-        this.initMaterials();
-        this.initGeometries();
+// Every block's definition: name, solidity, transparency, hardness, colors and tiles.
+// Meshing, lighting, controls and the HUD all read blocks from here, so a new block only
+// needs a definition, either registered in code or loaded from a JSON file like:
+//   [{ "id": 100, "name": "Brick", "color": "#B0463C", "hardness": 2, "placeable": true }]
+// Register blocks before the world loads; lighting and workers cache what they read.
+//
+// Each voxel also has a block state, a number next to its type. For blocks with a
+// `rotation` its low four bits are an orientation: bits 2-3 tip the block forward in
+// quarter turns (its top towards the front), then bits 0-1 turn it clockwise seen from
+// above. The other bits are free for a block's own variants. Fluids keep their flow
+// level in the low three bits instead, 0 for a source, and bit 3 for falling fluid.
+// Bit 4 marks `decay` blocks the player placed, which never decay.
+class BlockRegistry {
+    static register(id, definition) {
+        return BlockRegistry.add(BlockRegistry.build(id, definition), definition);
     }
     
-    initMaterials() {
-        // Create optimized materials for each block type
-        Object.entries(BlockProperties).forEach(([type, props]) => {
-            if (type == BlockType.AIR) return;
-            
-            const material = new THREE.MeshLambertMaterial({
-                color: props.color,
-                transparent: props.transparent,
-                opacity: props.opacity,
-                side: props.transparent ? THREE.DoubleSide : THREE.FrontSide,
-                alphaTest: props.transparent ? 0.5 : 0,
-                vertexColors: false,
-                flatShading: true
-            });
-            
-            this.materials.set(parseInt(type), material);
+    // Register a list of definitions, each with its `id`. Every definition is built
+    // before any is added, so one that fails leaves the registry as it was.
+    static registerAll(definitions) {
+        const blocks = definitions.map(definition => BlockRegistry.build(definition.id, definition));
+        blocks.forEach((block, i) => BlockRegistry.add(block, definitions[i]));
+    }
+    
+    // The registry's block for a definition, ready to add; throws if the definition can't
+    // be used, without changing anything
+    static build(id, definition) {
+        if (!Number.isInteger(id) || id < 0 || id > 0xFFFF) {
+            throw new Error(`Invalid block id: ${id}`);
+        }
+        
+        const block = Object.assign({}, BlockRegistry.DEFAULTS, definition, { id });
+        block.color = BlockRegistry.parseColor(block.color);
+        if (block.lightColor !== undefined) {
+            block.lightColor = BlockRegistry.parseColor(block.lightColor);
+        }
+        
+        // Resolve every face once, so meshing only looks faces up
+        block.faceColors = {};
+        block.faceTextures = {};
+        BlockRegistry.FACES.forEach(face => {
+            const override = BlockRegistry.getFaceOverride(definition.faces, face) || {};
+            const color = override.color !== undefined ? BlockRegistry.parseColor(override.color) : block.color;
+            block.faceColors[face] = {
+                r: ((color >> 16) & 255) / 255,
+                g: ((color >> 8) & 255) / 255,
+                b: (color & 255) / 255,
+                a: block.opacity
+            };
+            block.faceTextures[face] = override.texture || block.texture;
         });
+        
+        // Fluids spread `range` blocks from a source, one step every `delay` ticks, and
+        // are drawn as high as their level
+        if (block.fluid) {
+            block.fluid = Object.assign({}, BlockRegistry.FLUID_DEFAULTS, block.fluid);
+            block.shape = block.shape || 'fluid';
+        }
+        
+        // Named shapes, or a custom { boxes: [...] }; turned copies are made on demand
+        if (typeof block.shape === 'string') {
+            if (!BlockRegistry.SHAPES[block.shape]) {
+                throw new Error(`Unknown block shape: ${block.shape}`);
+            }
+            block.shape = BlockRegistry.SHAPES[block.shape];
+        }
+        block.shapes = block.shape ? [] : null;
+        block.opaque = block.solid && !block.transparent && !block.shape;
+        return block;
     }
     
-    initGeometries() {
-        // Create base cube geometry
-        const geometry = new THREE.BoxGeometry(1, 1, 1);
-        geometry.computeBoundingBox();
-        geometry.computeBoundingSphere();
+    // Make a built block known to meshing, BlockType, the hotbar and chunk workers
+    static add(block, definition) {
+        const { id } = block;
+        BlockRegistry.blocks[id] = block;
         
-        this.geometries.set('cube', geometry);
+        const key = block.key || block.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+        if (BlockType[key] === undefined) {
+            BlockType[key] = id;
+        }
+        if (block.placeable && !PlaceableBlocks.includes(id)) {
+            PlaceableBlocks.push(id);
+        }
         
-        // Create optimized face geometries for culling
-        this.createFaceGeometries();
+        // Blocks added after the built-ins, replayed in chunk workers
+        if (BlockRegistry.ready) {
+            BlockRegistry.changes.push([id, definition]);
+        }
+        return block;
     }
     
-    createFaceGeometries() {
-        // Create individual face geometries for optimized rendering
-        const faces = {
-            top: { vertices: [[0,1,0], [1,1,0], [1,1,1], [0,1,1]], normal: [0,1,0] },
-            bottom: { vertices: [[0,0,0], [0,0,1], [1,0,1], [1,0,0]], normal: [0,-1,0] },
-            front: { vertices: [[0,0,1], [0,1,1], [1,1,1], [1,0,1]], normal: [0,0,1] },
-            back: { vertices: [[1,0,0], [1,1,0], [0,1,0], [0,0,0]], normal: [0,0,-1] },
-            left: { vertices: [[0,0,0], [0,1,0], [0,1,1], [0,0,1]], normal: [-1,0,0] },
-            right: { vertices: [[1,0,1], [1,1,1], [1,1,0], [1,0,0]], normal: [1,0,0] }
+    // Load definitions from a JSON file: a list of definitions, or { "blocks": [...] }
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load blocks from ${url}: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        const definitions = Array.isArray(data) ? data : (data && data.blocks);
+        if (!Array.isArray(definitions)) {
+            throw new Error(`No block definitions in ${url}`);
+        }
+        
+        definitions.forEach(definition => BlockRegistry.validate(definition));
+        BlockRegistry.registerAll(definitions);
+    }
+    
+    // Check a definition from outside the code, such as a block file, before any of it
+    // is registered. Throws an Error saying what is wrong.
+    static validate(definition) {
+        const fail = reason => {
+            throw new Error(`Invalid block definition: ${reason}`);
         };
+        const isColor = value => (Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF) ||
+            (typeof value === 'string' && /^#?[0-9A-Fa-f]{6}$/.test(value));
+        const isNumber = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
         
-        Object.entries(faces).forEach(([name, data]) => {
-            const geometry = new THREE.BufferGeometry();
-            const vertices = [];
-            const normals = [];
-            const uvs = [];
-            
-            // Create quad vertices
-            data.vertices.forEach((vertex, i) => {
-                vertices.push(...vertex);
-                normals.push(...data.normal);
-                uvs.push(
-                    (i === 1 || i === 2) ? 1 : 0,
-                    (i === 2 || i === 3) ? 1 : 0
-                );
-            });
-            
-            // Set attributes
-            geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-            geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-            geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-            
-            // Set indices for two triangles
-            geometry.setIndex([0, 1, 2, 2, 3, 0]);
-            
-            geometry.computeBoundingBox();
-            geometry.computeBoundingSphere();
-            
-            this.geometries.set(`face_${name}`, geometry);
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            fail('not an object');
+        }
+        if (Object.prototype.hasOwnProperty.call(definition, '__proto__')) fail('__proto__ key');
+        
+        const { id } = definition;
+        if (!Number.isInteger(id) || id < 0 || id > 0xFFFF) fail(`id ${id}`);
+        if (typeof definition.name !== 'string' || definition.name.length === 0 || definition.name.length > 64) {
+            fail(`name of block ${id}`);
+        }
+        if (definition.key !== undefined && !/^[A-Z][A-Z0-9_]*$/.test(definition.key)) fail(`key of block ${id}`);
+        
+        ['color', 'lightColor'].forEach(field => {
+            if (definition[field] !== undefined && !isColor(definition[field])) fail(`${field} of block ${id}`);
+        });
+        ['solid', 'transparent', 'placeable', 'gravity'].forEach(field => {
+            if (definition[field] !== undefined && typeof definition[field] !== 'boolean') fail(`${field} of block ${id}`);
         });
+        if (definition.texture !== undefined && typeof definition.texture !== 'string') fail(`texture of block ${id}`);
+        if (definition.rotation !== undefined && !BlockRegistry.ROTATIONS.includes(definition.rotation)) {
+            fail(`rotation of block ${id}`);
+        }
+        if (definition.opacity !== undefined && !isNumber(definition.opacity, 0, 1)) fail(`opacity of block ${id}`);
+        if (definition.hardness !== undefined && !isNumber(definition.hardness, -1, 1000)) fail(`hardness of block ${id}`);
+        if (definition.lightLevel !== undefined && !isNumber(definition.lightLevel, 0, 15)) fail(`lightLevel of block ${id}`);
+        if (definition.decay !== undefined && !isNumber(definition.decay, 0, 15)) fail(`decay of block ${id}`);
+        
+        if (definition.faces !== undefined) {
+            if (!definition.faces || typeof definition.faces !== 'object') fail(`faces of block ${id}`);
+            Object.values(definition.faces).forEach(face => {
+                if (!face || typeof face !== 'object' ||
+                    (face.color !== undefined && !isColor(face.color)) ||
+                    (face.texture !== undefined && typeof face.texture !== 'string')) {
+                    fail(`faces of block ${id}`);
+                }
+            });
+        }
+        
+        const { shape, fluid } = definition;
+        if (typeof shape === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(BlockRegistry.SHAPES, shape)) fail(`shape of block ${id}`);
+        } else if (shape !== undefined && shape !== null) {
+            const isBox = box => Array.isArray(box) && box.length === 6 && box.every(v => isNumber(v, 0, 1));
+            if (typeof shape !== 'object' || !Array.isArray(shape.boxes) || !shape.boxes.every(isBox)) {
+                fail(`shape of block ${id}`);
+            }
+        }
+        if (fluid !== undefined && fluid !== null) {
+            // Flow levels take three state bits, so fluids spread 7 blocks at most
+            const isCount = (value, min, max) => value === undefined || (Number.isInteger(value) && isNumber(value, min, max));
+            if (typeof fluid !== 'object' || Array.isArray(fluid) ||
+                !isCount(fluid.range, 0, 7) || !isCount(fluid.delay, 1, 1000)) {
+                fail(`fluid of block ${id}`);
+            }
+        }
     }
     
-    getMaterial(blockType) {
-        return this.materials.get(blockType) || this.materials.get(BlockType.STONE);
+    // Numbers, or "#RRGGBB" strings since JSON has no hex literals
+    static parseColor(color) {
+        return typeof color === 'string' ? parseInt(color.replace('#', ''), 16) : color;
     }
     
-    getGeometry(type = 'cube') {
-        return this.geometries.get(type);
+    static getFaceOverride(faces, face) {
+        if (!faces) return null;
+        if (faces[face]) return faces[face];
+        return face === 'top' || face === 'bottom' ? null : faces.side || null;
     }
     
-    getProperties(blockType) {
-        return BlockProperties[blockType] || BlockProperties[BlockType.AIR];
+    static get(id) {
+        return BlockRegistry.blocks[id];
     }
     
-    isSolid(blockType) {
-        const props = this.getProperties(blockType);
-        return props.solid;
+    static has(id) {
+        return BlockRegistry.blocks[id] !== undefined;
     }
     
-    isTransparent(blockType) {
-        const props = this.getProperties(blockType);
-        return props.transparent;
+    static getName(id) {
+        const block = BlockRegistry.get(id);
+        return block ? block.name : 'Unknown';
     }
     
-    dispose() {
-        // Dispose materials
-        this.materials.forEach(material => {
-            material.dispose();
-        });
-        this.materials.clear();
+    // Unknown ids count as solid and opaque, so they never open holes into the terrain
+    static isSolid(id) {
+        const block = BlockRegistry.get(id);
+        return !block || block.solid;
+    }
+    
+    // Blocks that fill their whole cell and hide what is behind them. They stop light,
+    // cull neighboring faces and darken corners.
+    static isOpaque(id) {
+        const block = BlockRegistry.get(id);
+        return !block || block.opaque;
+    }
+    
+    static isTransparent(id) {
+        const block = BlockRegistry.get(id);
+        return !!block && block.transparent;
+    }
+    
+    static getHardness(id) {
+        const block = BlockRegistry.get(id);
+        return block ? block.hardness : -1;
+    }
+    
+    static isBreakable(id) {
+        return id !== BlockType.AIR && BlockRegistry.getHardness(id) >= 0;
+    }
+    
+    // { r, g, b, a } of the face a block in some state shows on one side; unknown blocks
+    // are magenta
+    static getFaceColor(id, face, state = 0) {
+        const block = BlockRegistry.get(id);
+        if (!block) return BlockRegistry.MISSING_COLOR;
+        return block.faceColors[BlockRegistry.getLocalFace(block, face, state)];
+    }
+    
+    // Atlas tile name of the face a block shows on one side
+    static getFaceTexture(id, face, state = 0) {
+        const block = BlockRegistry.get(id);
+        if (!block) return null;
+        return block.faceTextures[BlockRegistry.getLocalFace(block, face, state)];
+    }
+    
+    static getOrientation(block, state) {
+        return block.rotation ? state & BlockRegistry.ORIENTATION_MASK : 0;
+    }
+    
+    // Which of the block's own faces ends up on a side of the world
+    static getLocalFace(block, face, state) {
+        const orientation = BlockRegistry.getOrientation(block, state);
+        return orientation ? BlockRegistry.ORIENTATIONS[orientation].faces[face] : face;
+    }
+    
+    // How texture coordinates on a side turn with the block, as [uu, uv, vu, vv] giving
+    // u' = uu * u + uv * v and v' = vu * u + vv * v, or null when they don't
+    static getFaceUVTransform(id, face, state) {
+        const block = BlockRegistry.get(id);
+        const orientation = block ? BlockRegistry.getOrientation(block, state) : 0;
+        return orientation ? BlockRegistry.ORIENTATIONS[orientation].uvs[face] : null;
+    }
+    
+    // State for a block placed against a face with outward `normal` at `point`, by a
+    // player looking along `direction`. `rotation` picks the rule:
+    //   axis       - the top points away from the clicked face, like logs
+    //   horizontal - the front turns towards the player
+    //   facing     - the front points away from the clicked face, up and down included
+    //   slab       - upside down against the underside or the upper half of a face
+    //   stairs     - the low step towards the player, upside down like slabs
+    // Placed `decay` blocks are also marked persistent.
+    static getPlacementState(id, normal, direction, point = null) {
+        const block = BlockRegistry.get(id);
+        if (!block) return 0;
+        
+        const persistent = block.decay ? BlockRegistry.PERSISTENT : 0;
+        return BlockRegistry.getOrientationFor(block, normal, direction, point) | persistent;
+    }
+    
+    static getOrientationFor(block, normal, direction, point) {
+        if (!block.rotation) return 0;
         
-        // Dispose geometries
-        this.geometries.forEach(geometry => {
-            geometry.dispose();
+        const upper = normal.y < -0.5 ||
+            (Math.abs(normal.y) <= 0.5 && point !== null && point.y - Math.floor(point.y) > 0.5);
+        
+        switch (block.rotation) {
+            case 'axis':
+                if (Math.abs(normal.x) > 0.5) return BlockRegistry.orient(1, 1);
+                if (Math.abs(normal.z) > 0.5) return BlockRegistry.orient(0, 1);
+                return 0;
+            case 'horizontal':
+                return BlockRegistry.orient(BlockRegistry.getYaw(-direction.x, -direction.z), 0);
+            case 'facing':
+                if (normal.y > 0.5) return BlockRegistry.orient(0, 3);
+                if (normal.y < -0.5) return BlockRegistry.orient(0, 1);
+                return BlockRegistry.orient(BlockRegistry.getYaw(normal.x, normal.z), 0);
+            case 'slab':
+                return upper ? BlockRegistry.orient(0, 2) : 0;
+            case 'stairs': {
+                // Tipping upside down also swaps front and back, so turn it back around
+                const yaw = BlockRegistry.getYaw(-direction.x, -direction.z);
+                return upper ? BlockRegistry.orient((yaw + 2) & 3, 2) : BlockRegistry.orient(yaw, 0);
+            }
+            default:
+                return 0;
+        }
+    }
+    
+    // Whether a block is drawn as something other than a full cube
+    static hasShape(id) {
+        const block = BlockRegistry.get(id);
+        return !!block && block.shape !== null;
+    }
+    
+    static isFluid(id) {
+        const block = BlockRegistry.get(id);
+        return !!block && !!block.fluid;
+    }
+    
+    // Flow settings of a fluid, or null
+    static getFluid(id) {
+        const block = BlockRegistry.get(id);
+        return block ? block.fluid || null : null;
+    }
+    
+    // Blocks that flowing fluids wash away: air, and plants, torches and other blocks
+    // that are neither solid nor take any time to break
+    static isReplaceable(id) {
+        if (id === BlockType.AIR) return true;
+        const block = BlockRegistry.get(id);
+        return !!block && !block.solid && !block.fluid && block.hardness === 0;
+    }
+    
+    // Blocks that fall when the block under them is gone, like sand
+    static hasGravity(id) {
+        const block = BlockRegistry.get(id);
+        return !!block && block.gravity;
+    }
+    
+    // Blocks a falling block drops through and replaces when it lands: whatever fluids
+    // wash away, and fluids themselves
+    static canFallInto(id) {
+        return BlockRegistry.isReplaceable(id) || BlockRegistry.isFluid(id);
+    }
+    
+    // Whether a `decay` block in some state was placed by the player and stays put
+    static isPersistent(state) {
+        return (state & BlockRegistry.PERSISTENT) !== 0;
+    }
+    
+    static getFluidLevel(state) {
+        return state & BlockRegistry.FLUID_LEVEL_MASK;
+    }
+    
+    static isFallingFluid(state) {
+        return (state & BlockRegistry.FLUID_FALLING) !== 0;
+    }
+    
+    // Surface height of a fluid in its cell. Sources and falling fluid fill it, each flow
+    // level lowers it by an eighth.
+    static getFluidHeight(state) {
+        if (BlockRegistry.isFallingFluid(state)) return 1;
+        return 1 - BlockRegistry.getFluidLevel(state) / 8;
+    }
+    
+    // Plants and other blocks drawn as crossed quads
+    static isCross(id) {
+        const block = BlockRegistry.get(id);
+        return !!block && block.shape !== null && !!block.shape.cross;
+    }
+    
+    // A block's shape in its state: { boxes, faces, cross }, boxes being
+    // [minX, minY, minZ, maxX, maxY, maxZ] inside the unit cell. Shapes turn with the
+    // orientation and fluids take the height of their level. Null for full cubes, which
+    // includes full fluid cells.
+    static getShape(id, state = 0) {
+        const block = BlockRegistry.get(id);
+        if (!block || !block.shape) return null;
+        
+        const key = block.fluid ? state & BlockRegistry.FLUID_MASK : BlockRegistry.getOrientation(block, state);
+        if (block.shapes[key] === undefined) {
+            let boxes = null;
+            if (!block.fluid) {
+                boxes = block.shape.boxes.map(box => BlockRegistry.rotateBox(box, key));
+            } else if (BlockRegistry.getFluidHeight(key) < 1) {
+                boxes = [[0, 0, 0, 1, BlockRegistry.getFluidHeight(key), 1]];
+            }
+            block.shapes[key] = boxes && {
+                boxes,
+                faces: BlockRegistry.getShapeFaces(boxes),
+                cross: !!block.shape.cross
+            };
+        }
+        return block.shapes[key];
+    }
+    
+    // The faces of a shape's boxes worth drawing: { face, axis, side, plane, rect, border }
+    // with rect along the face's other two axes. Faces covered by another box of the
+    // shape are left out; faces on the cell border are marked, as neighbors may hide them.
+    static getShapeFaces(boxes) {
+        const faces = [];
+        boxes.forEach(box => {
+            BlockRegistry.FACES.forEach(face => {
+                const [axis, side] = BlockRegistry.FACE_PLANES[face];
+                const u = (axis + 1) % 3;
+                const v = (axis + 2) % 3;
+                const plane = box[axis + side * 3];
+                const rect = [box[u], box[v], box[u + 3], box[v + 3]];
+                const border = plane === side;
+                
+                if (!border && BlockRegistry.coversRect(boxes, axis, 1 - side, plane, rect)) return;
+                faces.push({ face, axis, side, plane, rect, border });
+            });
         });
-        this.geometries.clear();
+        return faces;
+    }
+    
+    // Boxes the player collides with, in the unit cell. Cross plants and blocks that
+    // aren't solid have none.
+    static getCollisionBoxes(id, state = 0) {
+        if (id === BlockType.AIR || !BlockRegistry.isSolid(id)) return [];
+        
+        const shape = BlockRegistry.getShape(id, state);
+        if (!shape) return BlockRegistry.FULL_BOX;
+        return shape.cross ? [] : shape.boxes;
+    }
+    
+    // Whether the side `face` of a block covers a rectangle of that side, given as
+    // [minU, minV, maxU, maxV] along the side's two other axes (null for all of it).
+    // Neighbors hide exactly the faces, or parts of faces, that touch covered area.
+    static coversFace(id, state, face, rect = null) {
+        const shape = BlockRegistry.getShape(id, state);
+        if (!shape) return BlockRegistry.isSolid(id);
+        
+        const [axis, side] = BlockRegistry.FACE_PLANES[face];
+        return BlockRegistry.coversRect(shape.boxes, axis, side, side, rect || BlockRegistry.FULL_RECT);
+    }
+    
+    // Whether boxes whose side `side` of axis `axis` lies on `plane` cover a rectangle
+    static coversRect(boxes, axis, side, plane, rect) {
+        const u = (axis + 1) % 3;
+        const v = (axis + 2) % 3;
+        const faces = boxes
+            .filter(box => box[axis + side * 3] === plane)
+            .map(box => [box[u], box[v], box[u + 3], box[v + 3]]);
+        if (faces.length === 0) return false;
+        
+        // Split the rectangle at every face edge and check each piece's center
+        const cuts = (min, max, i) => [...new Set([min, max, ...faces.flatMap(f => [f[i], f[i + 2]])])]
+            .filter(c => c >= min && c <= max)
+            .sort((a, b) => a - b);
+        const us = cuts(rect[0], rect[2], 0);
+        const vs = cuts(rect[1], rect[3], 1);
+        
+        for (let i = 0; i < us.length - 1; i++) {
+            for (let j = 0; j < vs.length - 1; j++) {
+                const cu = (us[i] + us[i + 1]) / 2;
+                const cv = (vs[j] + vs[j + 1]) / 2;
+                if (!faces.some(f => cu > f[0] && cu < f[2] && cv > f[1] && cv < f[3])) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+    
+    // Turn a box about the center of its cell
+    static rotateBox(box, orientation) {
+        const a = BlockRegistry.rotate([box[0] - 0.5, box[1] - 0.5, box[2] - 0.5], orientation);
+        const b = BlockRegistry.rotate([box[3] - 0.5, box[4] - 0.5, box[5] - 0.5], orientation);
+        return [0, 1, 2, 0, 1, 2].map((axis, i) =>
+            (i < 3 ? Math.min(a[axis], b[axis]) : Math.max(a[axis], b[axis])) + 0.5
+        );
+    }
+    
+    static orient(yaw, tilt) {
+        return yaw | (tilt << 2);
+    }
+    
+    // Quarter turns that bring the front (+z) closest to a horizontal direction
+    static getYaw(x, z) {
+        if (Math.abs(x) > Math.abs(z)) return x > 0 ? 1 : 3;
+        return z >= 0 ? 0 : 2;
+    }
+    
+    // Turn a vector by an orientation: tip about X (top towards front), then yaw about Y
+    // (front towards right)
+    static rotate(vector, orientation) {
+        let [x, y, z] = vector;
+        for (let i = 0; i < ((orientation >> 2) & 3); i++) {
+            [y, z] = [-z, y];
+        }
+        for (let i = 0; i < (orientation & 3); i++) {
+            [x, z] = [z, -x];
+        }
+        return [x, y, z];
+    }
+    
+    // For every orientation: the block face shown on each side, and its UV transform
+    static createOrientations() {
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        const orientations = [];
+        
+        for (let orientation = 0; orientation <= BlockRegistry.ORIENTATION_MASK; orientation++) {
+            const faces = {};
+            const uvs = {};
+            
+            BlockRegistry.FACES.forEach(local => {
+                const normal = BlockRegistry.rotate(BlockRegistry.FACE_NORMALS[local], orientation);
+                const face = BlockRegistry.FACES.find(name => dot(BlockRegistry.FACE_NORMALS[name], normal) > 0.5);
+                const [u, v] = BlockRegistry.FACE_AXES[face];
+                const [localU, localV] = BlockRegistry.FACE_AXES[local].map(axis =>
+                    BlockRegistry.rotate(axis, orientation)
+                );
+                
+                faces[face] = local;
+                uvs[face] = [dot(localU, u), dot(localU, v), dot(localV, u), dot(localV, v)];
+            });
+            orientations.push({ faces, uvs });
+        }
+        return orientations;
     }
 }
 
+// Values for anything a definition leaves out
+BlockRegistry.DEFAULTS = {
+    name: 'Block',
+    solid: true,
+    transparent: false,
+    color: 0xFF00FF,
+    opacity: 1,
+    hardness: 1,
+    texture: 'plain',
+    shape: null,
+    fluid: null,
+    gravity: false,
+    decay: 0
+};
+
+BlockRegistry.FLUID_DEFAULTS = {
+    range: 7,
+    delay: 5
+};
+
+// Face names, in mesher order
+BlockRegistry.FACES = ['left', 'right', 'bottom', 'top', 'back', 'front'];
+
+BlockRegistry.MISSING_COLOR = { r: 1, g: 0, b: 1, a: 1 };
+
+// Outward normal, and texture U and V directions, of each face. These match the UVs
+// GreedyMesher.faceUV lays out.
+BlockRegistry.FACE_NORMALS = {
+    left: [-1, 0, 0],
+    right: [1, 0, 0],
+    bottom: [0, -1, 0],
+    top: [0, 1, 0],
+    back: [0, 0, -1],
+    front: [0, 0, 1]
+};
+BlockRegistry.FACE_AXES = {
+    left: [[0, 0, 1], [0, 1, 0]],
+    right: [[0, 0, -1], [0, 1, 0]],
+    bottom: [[1, 0, 0], [0, 0, 1]],
+    top: [[1, 0, 0], [0, 0, -1]],
+    back: [[-1, 0, 0], [0, 1, 0]],
+    front: [[1, 0, 0], [0, 1, 0]]
+};
+
+// Axis and side (0 negative, 1 positive) of each face
+BlockRegistry.FACE_PLANES = {
+    left: [0, 0],
+    right: [0, 1],
+    bottom: [1, 0],
+    top: [1, 1],
+    back: [2, 0],
+    front: [2, 1]
+};
+
+BlockRegistry.OPPOSITE_FACES = {
+    left: 'right',
+    right: 'left',
+    bottom: 'top',
+    top: 'bottom',
+    back: 'front',
+    front: 'back'
+};
+
+// How placed blocks can turn, see getPlacementState
+BlockRegistry.ROTATIONS = ['axis', 'horizontal', 'facing', 'slab', 'stairs'];
+
+// Block shapes other than the full cube, as boxes in the unrotated unit cell. Cross
+// shapes are two crossed quads, like plants, with no boxes. Fluid boxes follow the
+// fluid's level, see getShape.
+BlockRegistry.SHAPES = {
+    slab: { boxes: [[0, 0, 0, 1, 0.5, 1]] },
+    stairs: { boxes: [[0, 0, 0, 1, 0.5, 1], [0, 0.5, 0, 1, 1, 0.5]] },
+    cross: { boxes: [], cross: true },
+    torch: { boxes: [[0.4375, 0, 0.4375, 0.5625, 0.625, 0.5625]] },
+    fluid: { boxes: [] }
+};
+
+BlockRegistry.FULL_BOX = [[0, 0, 0, 1, 1, 1]];
+BlockRegistry.FULL_RECT = [0, 0, 1, 1];
+
+// State bits holding the orientation of rotating blocks
+BlockRegistry.ORIENTATION_MASK = 15;
+BlockRegistry.ORIENTATIONS = BlockRegistry.createOrientations();
+
+// State bits of fluids: flow level, falling flag, and both together
+BlockRegistry.FLUID_LEVEL_MASK = 7;
+BlockRegistry.FLUID_FALLING = 8;
+BlockRegistry.FLUID_MASK = 15;
+
+// State bit of player-placed `decay` blocks
+BlockRegistry.PERSISTENT = 16;
+
+// Definitions indexed by id; meshing looks blocks up for every face, so a plain array
+BlockRegistry.blocks = [];
+BlockRegistry.changes = [];
+BlockRegistry.ready = false;
+
+BlockRegistry.registerAll(DefaultBlocks);
+BlockRegistry.ready = true;
+
 // Export
 window.BlockType = BlockType;
-window.BlockProperties = BlockProperties;
-window.BlockManager = BlockManager;
\ No newline at end of file
+window.PlaceableBlocks = PlaceableBlocks;
+window.BlockRegistry = BlockRegistry;
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * VoxelCraft Optimized - Falling Blocks
+ * Sand and other gravity blocks drop as entities and land as voxels again
+ */
+
+'use strict';
+
+// A block on its way down, drawn with the chunk materials at its own position when it
+// has a mesh
+class FallingBlock {
+    constructor(type, state, x, y, z) {
+        this.type = type;
+        this.state = state;
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.velocity = 0;
+        this.mesh = null;
+    }
+    
+    moveTo(y) {
+        this.y = y;
+        if (this.mesh) {
+            this.mesh.position.y = y;
+        }
+    }
+    
+    // Mesh of a lone voxel, with the faces, tiles and shape its chunk would give it
+    static createMesh(type, state) {
+        const data = Chunk.meshVoxels(
+            1,
+            (x, y, z) => (x === 0 && y === 0 && z === 0 ? type : 0),
+            0,
+            null,
+            () => state
+        );
+        const translucent = data.opaque.positions.length === 0;
+        const layer = translucent ? data.translucent : data.opaque;
+        
+        const mesh = new THREE.Mesh(Chunk.createGeometry(layer), Chunk.getMaterial(translucent));
+        mesh.castShadow = false;
+        mesh.receiveShadow = false;
+        return mesh;
+    }
+    
+    dispose() {
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+        }
+    }
+}
+
+// Blocks with `gravity` fall when the block under them can be fallen into, see
+// BlockRegistry.canFallInto. Every edit through World.setBlockAt marks the edited
+// block and the one above it; at the next update each marked gravity block with
+// nothing under it turns into a FallingBlock. Removing it is itself an edit, so the
+// block above follows a frame later and whole columns come down, across chunk borders
+// like any other edit. A falling block speeds up until it reaches a block it can't
+// fall into and lands on top of it as a voxel, in the same state it had.
+class FallingBlocks {
+    constructor(world) {
+        this.world = world;
+        this.scene = world.scene;
+        this.blocks = [];
+        
+        // Positions to check at the next update: 'x,y,z' -> [x, y, z]
+        this.pending = new Map();
+    }
+    
+    // Called for every block edit
+    blockChanged(worldX, worldY, worldZ) {
+        const x = Math.floor(worldX);
+        const y = Math.floor(worldY);
+        const z = Math.floor(worldZ);
+        
+        this.pending.set(`${x},${y},${z}`, [x, y, z]);
+        this.pending.set(`${x},${y + 1},${z}`, [x, y + 1, z]);
+    }
+    
+    update(deltaTime) {
+        // Edits made while releasing blocks are checked next frame
+        const pending = this.pending;
+        this.pending = new Map();
+        pending.forEach(([x, y, z]) => this.release(x, y, z));
+        
+        const dt = Math.min(deltaTime, FallingBlocks.MAX_STEP);
+        for (let i = this.blocks.length - 1; i >= 0; i--) {
+            if (this.fall(this.blocks[i], dt)) {
+                this.remove(i);
+            }
+        }
+    }
+    
+    // Let a gravity block go if there is nothing under it
+    release(x, y, z) {
+        const world = this.world;
+        const type = world.getBlockAt(x, y, z);
+        if (!BlockRegistry.hasGravity(type)) return;
+        if (!world.isLoaded(x, y - 1, z) || !this.canFallInto(x, y - 1, z)) return;
+        
+        const block = new FallingBlock(type, world.getStateAt(x, y, z), x, y, z);
+        world.setBlockAt(x, y, z, BlockType.AIR);
+        this.blocks.push(block);
+        
+        // Only drawn in a world with a scene
+        if (this.scene) {
+            block.mesh = FallingBlock.createMesh(type, block.state);
+            block.mesh.position.set(x, y, z);
+            this.scene.add(block.mesh);
+        }
+    }
+    
+    // Move a block down, returning true once it has landed
+    fall(block, dt) {
+        block.velocity = Math.min(block.velocity + FallingBlocks.GRAVITY * dt, FallingBlocks.MAX_SPEED);
+        const y = block.y - block.velocity * dt;
+        
+        // Cells its bottom enters on the way
+        for (let cellY = Math.floor(block.y) - 1; cellY >= Math.floor(y); cellY--) {
+            if (!this.world.isLoaded(block.x, cellY, block.z)) {
+                // Wait above chunks that are still loading
+                block.moveTo(cellY + 1);
+                block.velocity = 0;
+                return false;
+            }
+            if (!this.canFallInto(block.x, cellY, block.z)) {
+                return this.land(block, cellY + 1);
+            }
+        }
+        
+        block.moveTo(y);
+        return false;
+    }
+    
+    // Turn a block back into a voxel, returning true once it is gone. Something may have
+    // filled the cell meanwhile, so it settles in the first free cell above, even above
+    // where it started. It waits under a chunk that is still loading, and only a column
+    // filled up to the build limit leaves it nowhere to go.
+    land(block, y) {
+        for (; this.world.isInBounds(y); y++) {
+            if (!this.world.isLoaded(block.x, y, block.z)) {
+                block.moveTo(y);
+                block.velocity = 0;
+                return false;
+            }
+            if (this.canFallInto(block.x, y, block.z)) {
+                this.world.setBlockAt(block.x, y, block.z, block.type, block.state);
+                return true;
+            }
+        }
+        return true;
+    }
+    
+    canFallInto(x, y, z) {
+        return this.world.isInBounds(y) && BlockRegistry.canFallInto(this.world.getBlockAt(x, y, z));
+    }
+    
+    remove(index) {
+        const block = this.blocks[index];
+        if (this.scene) {
+            this.scene.remove(block.mesh);
+        }
+        block.dispose();
+        this.blocks.splice(index, 1);
+    }
+    
+    dispose() {
+        for (let i = this.blocks.length - 1; i >= 0; i--) {
+            this.remove(i);
+        }
+        this.pending.clear();
+    }
+}
+
+// Acceleration in blocks per second squared, and the speed falling blocks stay under
+FallingBlocks.GRAVITY = 32;
+FallingBlocks.MAX_SPEED = 40;
+
+// Longest frame time simulated at once, so a stalled frame doesn't throw blocks down
+FallingBlocks.MAX_STEP = 0.1;
+
+// Export
+window.FallingBlock = FallingBlock;
+window.FallingBlocks = FallingBlocks;
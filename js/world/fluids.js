@@ -0,0 +1,270 @@
+/**
+ * VoxelCraft Optimized - Fluids
+ * Flowing water: sources, flow levels and falling fluid, advanced in ticks
+ */
+
+'use strict';
+
+// Fluids are blocks with a `fluid` definition, their flow kept in the block state (see
+// BlockRegistry). A source feeds flowing fluid around it, one level weaker per block
+// up to the fluid's `range`, and fluid that can fall does so first, coming down full.
+// Sideways flow takes the directions with the shortest way down, so water runs downhill
+// instead of spreading flat. Flowing fluid that loses what fed it weakens step by step
+// and dries up, and fluid between two sources over solid ground becomes a source.
+//
+// Only blocks near a change are simulated: every edit schedules the fluids around it,
+// and every fluid update edits the blocks it flows into. Generated and restored terrain
+// stays still until something touches it.
+class FluidSimulator {
+    constructor(world) {
+        this.world = world;
+        this.tick = 0;
+        this.time = 0;
+        
+        // Updates by the tick they are due: tick -> Map of 'x,y,z' -> [x, y, z]
+        this.queue = new Map();
+        // Every scheduled position, so each waits in the queue once
+        this.scheduled = new Set();
+    }
+    
+    // Run the ticks that passed during a frame, a few at most after a long pause
+    update(deltaTime) {
+        this.time = Math.min(this.time + deltaTime, FluidSimulator.TICK_TIME * FluidSimulator.MAX_TICKS);
+        while (this.time >= FluidSimulator.TICK_TIME) {
+            this.time -= FluidSimulator.TICK_TIME;
+            this.step();
+        }
+    }
+    
+    // Advance one tick and update the fluids due. Past MAX_UPDATES the rest wait a tick.
+    step() {
+        this.tick++;
+        const due = this.queue.get(this.tick);
+        if (!due) return;
+        this.queue.delete(this.tick);
+        
+        let updates = 0;
+        due.forEach((position, key) => {
+            this.scheduled.delete(key);
+            if (updates++ < FluidSimulator.MAX_UPDATES) {
+                this.updateFluid(position[0], position[1], position[2]);
+            } else {
+                this.schedule(position[0], position[1], position[2], 1);
+            }
+        });
+    }
+    
+    schedule(x, y, z, delay) {
+        const key = `${x},${y},${z}`;
+        if (this.scheduled.has(key)) return;
+        this.scheduled.add(key);
+        
+        const tick = this.tick + Math.max(1, delay);
+        if (!this.queue.has(tick)) {
+            this.queue.set(tick, new Map());
+        }
+        this.queue.get(tick).set(key, [x, y, z]);
+    }
+    
+    // Called for every block edit: the fluid placed there and the fluids next to it
+    // react after their delay
+    blockChanged(worldX, worldY, worldZ) {
+        const x = Math.floor(worldX);
+        const y = Math.floor(worldY);
+        const z = Math.floor(worldZ);
+        
+        FluidSimulator.NEIGHBORS.forEach(([dx, dy, dz]) => {
+            if (!this.world.isLoaded(x + dx, y + dy, z + dz)) return;
+            
+            const fluid = BlockRegistry.getFluid(this.world.getBlockAt(x + dx, y + dy, z + dz));
+            if (fluid) {
+                this.schedule(x + dx, y + dy, z + dz, fluid.delay);
+            }
+        });
+    }
+    
+    updateFluid(x, y, z) {
+        const world = this.world;
+        const type = world.getBlockAt(x, y, z);
+        const fluid = BlockRegistry.getFluid(type);
+        if (!fluid) return;
+        
+        // Wait for the chunks around to load before deciding anything from them
+        if (!this.isNeighborhoodLoaded(x, y, z)) {
+            this.schedule(x, y, z, fluid.delay);
+            return;
+        }
+        
+        // Flowing fluid first settles to what its neighbors feed it; the edit schedules
+        // it again to spread from there
+        const state = world.getStateAt(x, y, z);
+        if (!FluidSimulator.isSource(state)) {
+            const fed = this.getFedState(x, y, z, type, fluid);
+            if (fed === null) {
+                world.setBlockAt(x, y, z, BlockType.AIR);
+                return;
+            }
+            if (fed !== (state & BlockRegistry.FLUID_MASK)) {
+                world.setBlockAt(x, y, z, type, fed);
+                return;
+            }
+        }
+        
+        this.spread(x, y, z, type, state, fluid);
+    }
+    
+    // State a flowing cell should have: falling under more fluid, otherwise one level
+    // weaker than its strongest side neighbor, or null when nothing feeds it
+    getFedState(x, y, z, type, fluid) {
+        const world = this.world;
+        if (world.getBlockAt(x, y + 1, z) === type) return BlockRegistry.FLUID_FALLING;
+        
+        let level = Infinity;
+        let sources = 0;
+        FluidSimulator.SIDES.forEach(([dx, dz]) => {
+            if (world.getBlockAt(x + dx, y, z + dz) !== type) return;
+            
+            const state = world.getStateAt(x + dx, y, z + dz);
+            if (FluidSimulator.isSource(state)) sources++;
+            level = Math.min(level, BlockRegistry.isFallingFluid(state) ? 0 : BlockRegistry.getFluidLevel(state));
+        });
+        
+        if (sources >= 2) {
+            const below = world.getBlockAt(x, y - 1, z);
+            if (below === type ? FluidSimulator.isSource(world.getStateAt(x, y - 1, z)) : BlockRegistry.isSolid(below)) {
+                return 0;
+            }
+        }
+        return level + 1 <= fluid.range ? level + 1 : null;
+    }
+    
+    // Flow down into a hole below, and sideways when there is none or this is a source
+    spread(x, y, z, type, state, fluid) {
+        const source = FluidSimulator.isSource(state);
+        
+        if (this.isHole(x, y - 1, z, type)) {
+            this.flowInto(x, y - 1, z, type, BlockRegistry.FLUID_FALLING);
+            if (!source) return;
+        }
+        
+        const level = source || BlockRegistry.isFallingFluid(state) ? 0 : BlockRegistry.getFluidLevel(state);
+        if (level + 1 > fluid.range) return;
+        
+        this.getFlowDirections(x, y, z, type).forEach(([dx, dz]) => {
+            this.flowInto(x + dx, y, z + dz, type, level + 1);
+        });
+    }
+    
+    // Fill a cell with fluid, unless it already holds as much
+    flowInto(x, y, z, type, state) {
+        const world = this.world;
+        if (!world.isLoaded(x, y, z)) return;
+        
+        const current = world.getBlockAt(x, y, z);
+        
+        if (current === type) {
+            const currentState = world.getStateAt(x, y, z);
+            if (FluidSimulator.isSource(currentState) || BlockRegistry.isFallingFluid(currentState)) return;
+            if (!BlockRegistry.isFallingFluid(state) && BlockRegistry.getFluidLevel(currentState) <= state) return;
+        } else if (!BlockRegistry.isReplaceable(current)) {
+            return;
+        }
+        
+        world.setBlockAt(x, y, z, type, state);
+    }
+    
+    // Sides worth flowing to: those closest to a drop within SLOPE_DISTANCE, or every
+    // open side on flat ground
+    getFlowDirections(x, y, z, type) {
+        let best = Infinity;
+        let directions = [];
+        
+        FluidSimulator.SIDES.forEach((side, i) => {
+            const nx = x + side[0];
+            const nz = z + side[1];
+            if (!this.isOpen(nx, y, nz, type)) return;
+            
+            const distance = this.getSlopeDistance(nx, y, nz, type, i ^ 1, 0);
+            if (distance < best) {
+                best = distance;
+                directions = [side];
+            } else if (distance === best) {
+                directions.push(side);
+            }
+        });
+        return directions;
+    }
+    
+    // Steps from an open cell to the nearest one with a hole below, never turning back
+    // the way it came (`back` is the index of that side)
+    getSlopeDistance(x, y, z, type, back, distance) {
+        if (this.isHole(x, y - 1, z, type)) return distance;
+        if (distance >= FluidSimulator.SLOPE_DISTANCE) return Infinity;
+        
+        let best = Infinity;
+        FluidSimulator.SIDES.forEach((side, i) => {
+            if (i === back) return;
+            
+            const nx = x + side[0];
+            const nz = z + side[1];
+            if (this.isOpen(nx, y, nz, type)) {
+                best = Math.min(best, this.getSlopeDistance(nx, y, nz, type, i ^ 1, distance + 1));
+            }
+        });
+        return best;
+    }
+    
+    // Cells fluid can pass through: washed away blocks, or its own flowing fluid. Cells
+    // not loaded yet are blocked.
+    isOpen(x, y, z, type) {
+        if (!this.world.isLoaded(x, y, z)) return false;
+        const block = this.world.getBlockAt(x, y, z);
+        if (block === type) return !FluidSimulator.isSource(this.world.getStateAt(x, y, z));
+        return BlockRegistry.isReplaceable(block);
+    }
+    
+    // Cells fluid falls into, counting any of its own fluid so a waterfall landing in a
+    // lake doesn't spread over the surface. Cells not loaded yet, and those out of the
+    // world, are blocked.
+    isHole(x, y, z, type) {
+        if (!this.world.isLoaded(x, y, z)) return false;
+        const block = this.world.getBlockAt(x, y, z);
+        return block === type || BlockRegistry.isReplaceable(block);
+    }
+    
+    // Whether every block a fluid update reads is loaded; out of the world counts, as
+    // nothing is there to load
+    isNeighborhoodLoaded(x, y, z) {
+        return FluidSimulator.NEIGHBORS.every(([dx, dy, dz]) =>
+            !this.world.isInBounds(y + dy) || this.world.isLoaded(x + dx, y + dy, z + dz)
+        );
+    }
+    
+    static isSource(state) {
+        return (state & BlockRegistry.FLUID_MASK) === 0;
+    }
+}
+
+// Seconds per tick, and ticks run in one frame at most
+FluidSimulator.TICK_TIME = 0.05;
+FluidSimulator.MAX_TICKS = 5;
+
+// Fluid updates per tick
+FluidSimulator.MAX_UPDATES = 256;
+
+// How far flowing fluid looks for a way down
+FluidSimulator.SLOPE_DISTANCE = 4;
+
+// Horizontal sides as [dx, dz], in pairs of opposites
+FluidSimulator.SIDES = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// A block and the six around it
+FluidSimulator.NEIGHBORS = [
+    [0, 0, 0],
+    [-1, 0, 0], [1, 0, 0],
+    [0, -1, 0], [0, 1, 0],
+    [0, 0, -1], [0, 0, 1]
+];
+
+// Export
+window.FluidSimulator = FluidSimulator;
@@ -0,0 +1,380 @@
+/**
+ * VoxelCraft Optimized - Lighting
+ * Skylight and colored block light, flood filled per voxel and baked into chunk meshes
+ */
+
+'use strict';
+
+// Every generated chunk keeps a Uint16Array with a 4-bit level per channel and voxel:
+// skylight, then red, green and blue block light. Each color spreads on its own, so a
+// torch's orange glow mixes with other lights where they meet. Skylight falls straight
+// down from open sky without weakening; any other step costs one level, and water or
+// leaves cost one more. Opaque blocks stop light entirely. Chunks that are not loaded
+// count as dark, so light only grows as chunks arrive.
+class LightEngine {
+    constructor(chunkManager) {
+        this.chunkManager = chunkManager;
+        
+        // Breadth-first queues, kept as parallel arrays to avoid allocating per voxel
+        this.addChunks = [];
+        this.addIndices = [];
+        this.removeChunks = [];
+        this.removeIndices = [];
+        this.removeLevels = [];
+        
+        // Result of the last step()
+        this.stepChunk = null;
+        this.stepIndex = 0;
+        
+        // Chunks whose meshes show changed light, collected during updateBlock()
+        this.changedChunks = null;
+    }
+    
+    static getLevel(light, channel) {
+        return (light >> LightEngine.SHIFTS[channel]) & 15;
+    }
+    
+    // Light a block gives off by itself in one color channel, from its lightLevel scaled
+    // by each component of its lightColor
+    static getEmission(type, channel) {
+        let levels = LightEngine.emissions.get(type);
+        if (levels === undefined) {
+            const block = BlockRegistry.get(type);
+            levels = null;
+            if (block && block.lightLevel) {
+                const color = block.lightColor !== undefined ? block.lightColor : 0xFFFFFF;
+                levels = [0, 16, 8, 0].map((shift, i) =>
+                    i === LightEngine.SKY ? 0 : Math.round(block.lightLevel * ((color >> shift) & 255) / 255)
+                );
+            }
+            LightEngine.emissions.set(type, levels);
+        }
+        return levels ? levels[channel] : 0;
+    }
+    
+    // Whether any block in a chunk gives off light, checked on the palette
+    static hasEmitters(chunk) {
+        const types = chunk.voxels.isUniform ? [chunk.voxels.value] : chunk.voxels.palette;
+        return types.some(type => LightEngine.getEmission(type, LightEngine.RED) > 0 ||
+            LightEngine.getEmission(type, LightEngine.GREEN) > 0 ||
+            LightEngine.getEmission(type, LightEngine.BLUE) > 0);
+    }
+    
+    // Extra levels lost when passing through a block that lets light through
+    static getAttenuation(type) {
+        return type !== 0 && Chunk.isTranslucent(type) ? 1 : 0;
+    }
+    
+    // Vertex color multiplier for a packed light value. Skylight is white, so each color
+    // takes whichever is brighter of the skylight and its own block light.
+    static getLightColor(light) {
+        let color = LightEngine.lightColors.get(light);
+        if (color === undefined) {
+            const sky = LightEngine.getLevel(light, LightEngine.SKY);
+            color = [LightEngine.RED, LightEngine.GREEN, LightEngine.BLUE].map(channel =>
+                LightEngine.BRIGHTNESS[Math.max(sky, LightEngine.getLevel(light, channel))]
+            );
+            LightEngine.lightColors.set(light, color);
+        }
+        return color;
+    }
+    
+    // Light a freshly generated chunk from open sky, its own light sources and the
+    // light of loaded neighbors, and let its light spill into those neighbors. Light a
+    // worker already worked out for the chunk can be passed in; it is taken over, and
+    // only the light crossing the borders is brought up to date.
+    initChunk(chunk, light = null) {
+        const size = chunk.size;
+        chunk.light = chunk.createLightBuffer();
+        if (light) {
+            chunk.light.set(light);
+        }
+        const emitters = !light && !chunk.isEmpty && LightEngine.hasEmitters(chunk);
+        
+        for (let channel = 0; channel < LightEngine.SHIFTS.length; channel++) {
+            if (channel === LightEngine.SKY && !light && chunk.y >= this.chunkManager.maxChunkY) {
+                for (let z = 0; z < size; z++) {
+                    for (let x = 0; x < size; x++) {
+                        this.addSkySource(chunk, x + (size - 1) * size + z * size * size);
+                    }
+                }
+            }
+            
+            if (channel !== LightEngine.SKY && emitters) {
+                for (let index = 0; index < chunk.light.length; index++) {
+                    this.addEmission(chunk, index, channel);
+                }
+            }
+            
+            // Neighbor voxels along each border shine into this chunk, and with light
+            // given, this chunk's own border voxels shine out
+            LightEngine.FACES.forEach((face, dir) => {
+                const neighbor = chunk.neighbors[face];
+                if (!neighbor || !neighbor.light) return;
+                
+                LightEngine.getBorderIndices(size, dir ^ 1).forEach(index => this.pushAdd(neighbor, index));
+                if (light) {
+                    LightEngine.getBorderIndices(size, dir).forEach(index => this.pushAdd(chunk, index));
+                }
+            });
+            
+            this.propagate(channel);
+        }
+    }
+    
+    // Indices of the layer of voxels along one face of a chunk, in FACES order
+    static getBorderIndices(size, dir) {
+        const key = size * 6 + dir;
+        let indices = LightEngine.borderIndices.get(key);
+        if (!indices) {
+            const axis = dir >> 1;
+            const stride = axis === 0 ? 1 : (axis === 1 ? size : size * size);
+            const strideA = axis === 0 ? size : 1;
+            const strideB = axis === 2 ? size : size * size;
+            const base = dir & 1 ? (size - 1) * stride : 0;
+            
+            indices = new Int32Array(size * size);
+            for (let b = 0; b < size; b++) {
+                for (let a = 0; a < size; a++) {
+                    indices[a + b * size] = base + a * strideA + b * strideB;
+                }
+            }
+            LightEngine.borderIndices.set(key, indices);
+        }
+        return indices;
+    }
+    
+    // Relight around a voxel whose block has just changed. Returns the set of chunks
+    // whose meshes need rebuilding for the new light.
+    updateBlock(chunk, x, y, z) {
+        const changed = new Set();
+        if (!chunk.light) return changed;
+        
+        this.changedChunks = changed;
+        const size = chunk.size;
+        const index = x + y * size + z * size * size;
+        
+        for (let channel = 0; channel < LightEngine.SHIFTS.length; channel++) {
+            // Take away the light that passed through here
+            const level = LightEngine.getLevel(chunk.light[index], channel);
+            if (level > 0) {
+                this.setLevel(chunk, index, channel, 0);
+                this.pushRemove(chunk, index, level);
+            }
+            this.unpropagate(channel);
+            
+            // Then let it flow back in from the neighbors and the block itself
+            if (channel === LightEngine.SKY && chunk.y >= this.chunkManager.maxChunkY && y === size - 1) {
+                this.addSkySource(chunk, index);
+            }
+            if (channel !== LightEngine.SKY) {
+                this.addEmission(chunk, index, channel);
+            }
+            for (let dir = 0; dir < 6; dir++) {
+                if (this.step(chunk, index, dir)) {
+                    this.pushAdd(this.stepChunk, this.stepIndex);
+                }
+            }
+            this.propagate(channel);
+        }
+        
+        this.changedChunks = null;
+        return changed;
+    }
+    
+    addSkySource(chunk, index) {
+        const type = chunk.voxels.get(index);
+        if (Chunk.isOpaque(type)) return;
+        
+        this.setLevel(chunk, index, LightEngine.SKY, 15 - LightEngine.getAttenuation(type));
+        this.pushAdd(chunk, index);
+    }
+    
+    addEmission(chunk, index, channel) {
+        const emission = LightEngine.getEmission(chunk.voxels.get(index), channel);
+        if (emission > LightEngine.getLevel(chunk.light[index], channel)) {
+            this.setLevel(chunk, index, channel, emission);
+            this.pushAdd(chunk, index);
+        }
+    }
+    
+    // Spread light outwards from every queued voxel
+    propagate(channel) {
+        const chunks = this.addChunks;
+        const indices = this.addIndices;
+        
+        for (let head = 0; head < chunks.length; head++) {
+            const chunk = chunks[head];
+            const index = indices[head];
+            const level = LightEngine.getLevel(chunk.light[index], channel);
+            if (level <= 1) continue;
+            
+            for (let dir = 0; dir < 6; dir++) {
+                if (!this.step(chunk, index, dir)) continue;
+                
+                const next = this.stepChunk;
+                const nextIndex = this.stepIndex;
+                const type = next.voxels.get(nextIndex);
+                if (Chunk.isOpaque(type)) continue;
+                
+                const attenuation = LightEngine.getAttenuation(type);
+                let value = level - 1 - attenuation;
+                if (channel === LightEngine.SKY && dir === LightEngine.DOWN && level === 15 && attenuation === 0) {
+                    value = 15;
+                }
+                
+                if (value > LightEngine.getLevel(next.light[nextIndex], channel)) {
+                    this.setLevel(next, nextIndex, channel, value);
+                    this.pushAdd(next, nextIndex);
+                }
+            }
+        }
+        
+        chunks.length = 0;
+        indices.length = 0;
+    }
+    
+    // Darken every voxel lit through the queued ones. Brighter voxels found on the way
+    // are lit from elsewhere, so they are queued to fill the gap back in.
+    unpropagate(channel) {
+        const chunks = this.removeChunks;
+        const indices = this.removeIndices;
+        const levels = this.removeLevels;
+        
+        for (let head = 0; head < chunks.length; head++) {
+            const chunk = chunks[head];
+            const index = indices[head];
+            const level = levels[head];
+            
+            for (let dir = 0; dir < 6; dir++) {
+                if (!this.step(chunk, index, dir)) continue;
+                
+                const next = this.stepChunk;
+                const nextIndex = this.stepIndex;
+                const nextLevel = LightEngine.getLevel(next.light[nextIndex], channel);
+                if (nextLevel === 0) continue;
+                
+                const fromSky = channel === LightEngine.SKY && dir === LightEngine.DOWN &&
+                    level === 15 && nextLevel === 15;
+                if (nextLevel < level || fromSky) {
+                    this.setLevel(next, nextIndex, channel, 0);
+                    this.pushRemove(next, nextIndex, nextLevel);
+                    
+                    // Light sources caught in the dark area keep shining
+                    if (channel !== LightEngine.SKY) {
+                        this.addEmission(next, nextIndex, channel);
+                    }
+                } else {
+                    this.pushAdd(next, nextIndex);
+                }
+            }
+        }
+        
+        chunks.length = 0;
+        indices.length = 0;
+        levels.length = 0;
+    }
+    
+    pushAdd(chunk, index) {
+        this.addChunks.push(chunk);
+        this.addIndices.push(index);
+    }
+    
+    pushRemove(chunk, index, level) {
+        this.removeChunks.push(chunk);
+        this.removeIndices.push(index);
+        this.removeLevels.push(level);
+    }
+    
+    // Set a level and mark the meshes that show it for rebuilding
+    setLevel(chunk, index, channel, level) {
+        const shift = LightEngine.SHIFTS[channel];
+        chunk.light[index] = (chunk.light[index] & ~(15 << shift)) | (level << shift);
+        chunk.needsUpdate = true;
+        if (this.changedChunks) {
+            this.changedChunks.add(chunk);
+        }
+        
+        // Faces of the neighboring chunk that look into this voxel
+        const size = chunk.size;
+        const x = index % size;
+        const y = ((index / size) | 0) % size;
+        const z = (index / (size * size)) | 0;
+        if (x === 0) this.markNeighbor(chunk, 'left');
+        if (x === size - 1) this.markNeighbor(chunk, 'right');
+        if (y === 0) this.markNeighbor(chunk, 'bottom');
+        if (y === size - 1) this.markNeighbor(chunk, 'top');
+        if (z === 0) this.markNeighbor(chunk, 'back');
+        if (z === size - 1) this.markNeighbor(chunk, 'front');
+    }
+    
+    markNeighbor(chunk, face) {
+        const neighbor = chunk.neighbors[face];
+        if (neighbor && neighbor.isGenerated) {
+            neighbor.needsUpdate = true;
+            if (this.changedChunks) {
+                this.changedChunks.add(neighbor);
+            }
+        }
+    }
+    
+    // Move one voxel in a direction, crossing into the neighbor chunk at borders.
+    // Sets stepChunk and stepIndex; returns false where there is no lit chunk.
+    // This runs for every voxel visited, so it works on indices directly.
+    step(chunk, index, dir) {
+        const size = chunk.size;
+        const axis = dir >> 1;
+        const stride = axis === 0 ? 1 : (axis === 1 ? size : size * size);
+        const coord = ((index / stride) | 0) % size;
+        
+        if (dir & 1) {
+            if (coord < size - 1) {
+                this.stepChunk = chunk;
+                this.stepIndex = index + stride;
+                return true;
+            }
+        } else if (coord > 0) {
+            this.stepChunk = chunk;
+            this.stepIndex = index - stride;
+            return true;
+        }
+        
+        const target = chunk.neighbors[LightEngine.FACES[dir]];
+        if (!target || !target.light) return false;
+        
+        this.stepChunk = target;
+        this.stepIndex = index + (dir & 1 ? -stride : stride) * (size - 1);
+        return true;
+    }
+}
+
+// Channels and their bit offsets in a packed light value
+LightEngine.SKY = 0;
+LightEngine.RED = 1;
+LightEngine.GREEN = 2;
+LightEngine.BLUE = 3;
+LightEngine.SHIFTS = [0, 4, 8, 12];
+
+// Emission levels per block type, colors per light value and border layers per chunk
+// size and face, filled in on first use
+LightEngine.emissions = new Map();
+LightEngine.lightColors = new Map();
+LightEngine.borderIndices = new Map();
+
+// Full daylight, used for voxels whose chunk has no light data
+LightEngine.OPEN_SKY = 15;
+
+// Neighbor directions, in the order of Chunk.neighbors faces
+LightEngine.FACES = ['left', 'right', 'bottom', 'top', 'back', 'front'];
+LightEngine.DIRECTIONS = [
+    [-1, 0, 0], [1, 0, 0],
+    [0, -1, 0], [0, 1, 0],
+    [0, 0, -1], [0, 0, 1]
+];
+LightEngine.DOWN = 2;
+
+// Brightness per light level; level 0 keeps a little light so caves aren't pitch black
+LightEngine.BRIGHTNESS = Array.from({ length: 16 }, (_, level) => 0.08 + 0.92 * Math.pow(0.8, 15 - level));
+
+// Export
+window.LightEngine = LightEngine;
@@ -0,0 +1,150 @@
+/**
+ * VoxelCraft Optimized - Random Ticks
+ * Slow world changes: random voxels of loaded chunks handed to per-block handlers
+ */
+
+'use strict';
+
+// Every tick each loaded chunk picks `speed` random voxels, and those whose block type
+// has a handler run it as handler(world, x, y, z, type, state) in world coordinates.
+// With a chunk of 16^3 voxels and the default speed a given voxel comes up about once
+// a minute, so handlers make small changes that add up over time. Handlers are looked
+// up by block type and can be added or replaced with RandomTicks.register(); chunks
+// without any handled block in their palette are skipped.
+class RandomTicks {
+    constructor(world, speed = RandomTicks.DEFAULT_SPEED) {
+        this.world = world;
+        this.speed = speed;
+        this.time = 0;
+    }
+    
+    // Handle random ticks of a block type; null removes the handler
+    static register(type, handler) {
+        RandomTicks.handlers[type] = handler || undefined;
+    }
+    
+    static hasHandlers(chunk) {
+        const types = chunk.voxels.isUniform ? [chunk.voxels.value] : chunk.voxels.palette;
+        return types.some(type => RandomTicks.handlers[type] !== undefined);
+    }
+    
+    // Run the ticks that passed during a frame, a few at most after a long pause
+    update(deltaTime) {
+        this.time = Math.min(this.time + deltaTime, RandomTicks.TICK_TIME * RandomTicks.MAX_TICKS);
+        while (this.time >= RandomTicks.TICK_TIME) {
+            this.time -= RandomTicks.TICK_TIME;
+            this.step();
+        }
+    }
+    
+    step() {
+        if (this.speed <= 0) return;
+        
+        // Handlers may edit other chunks, so pick from the chunks loaded at the start
+        const chunks = [];
+        this.world.chunkManager.chunks.forEach(chunk => {
+            if (chunk.isGenerated && !chunk.isEmpty && RandomTicks.hasHandlers(chunk)) {
+                chunks.push(chunk);
+            }
+        });
+        
+        chunks.forEach(chunk => {
+            const size = chunk.size;
+            for (let i = 0; i < this.speed; i++) {
+                const x = Math.floor(Math.random() * size);
+                const y = Math.floor(Math.random() * size);
+                const z = Math.floor(Math.random() * size);
+                
+                const type = chunk.getVoxel(x, y, z);
+                const handler = RandomTicks.handlers[type];
+                if (handler) {
+                    handler(this.world, chunk.x * size + x, chunk.y * size + y, chunk.z * size + z, type, chunk.getState(x, y, z));
+                }
+            }
+        });
+    }
+    
+    // Grass turns to dirt under an opaque full block, and otherwise spreads to a random
+    // dirt block nearby that has daylight or a lamp above it. Slabs, stairs, leaves,
+    // glass and plants let it live.
+    static tickGrass(world, x, y, z) {
+        if (!world.isLoaded(x, y + 1, z)) return;
+        if (BlockRegistry.isOpaque(world.getBlockAt(x, y + 1, z))) {
+            world.setBlockAt(x, y, z, BlockType.DIRT);
+            return;
+        }
+        
+        const tx = x + Math.floor(Math.random() * 3) - 1;
+        const ty = y + Math.floor(Math.random() * 5) - 3;
+        const tz = z + Math.floor(Math.random() * 3) - 1;
+        if (!world.isLoaded(tx, ty, tz) || !world.isLoaded(tx, ty + 1, tz)) return;
+        if (world.getBlockAt(tx, ty, tz) !== BlockType.DIRT) return;
+        if (BlockRegistry.isOpaque(world.getBlockAt(tx, ty + 1, tz))) return;
+        
+        if (world.getLightAt(tx, ty + 1, tz) >= RandomTicks.GRASS_LIGHT) {
+            world.setBlockAt(tx, ty, tz, BlockType.GRASS);
+        }
+    }
+    
+    // Leaves fall apart when no wood is within their `decay` distance, counted in steps
+    // through leaves of the same kind. Leaves the player placed stay, and so do leaves
+    // next to chunks that aren't loaded, where the wood may be.
+    static tickLeaves(world, x, y, z, type, state) {
+        const distance = BlockRegistry.get(type).decay;
+        if (!distance || BlockRegistry.isPersistent(state)) return;
+        
+        const visited = new Set([`${x},${y},${z}`]);
+        let frontier = [[x, y, z]];
+        
+        for (let step = 1; step <= distance && frontier.length > 0; step++) {
+            const next = [];
+            for (const [cx, cy, cz] of frontier) {
+                for (const [dx, dy, dz] of RandomTicks.SIDES) {
+                    const nx = cx + dx;
+                    const ny = cy + dy;
+                    const nz = cz + dz;
+                    const key = `${nx},${ny},${nz}`;
+                    if (visited.has(key)) continue;
+                    visited.add(key);
+                    
+                    if (!world.isInBounds(ny)) continue;
+                    if (!world.isLoaded(nx, ny, nz)) return;
+                    
+                    const neighbor = world.getBlockAt(nx, ny, nz);
+                    if (neighbor === BlockType.WOOD) return;
+                    if (neighbor === type) {
+                        next.push([nx, ny, nz]);
+                    }
+                }
+            }
+            frontier = next;
+        }
+        
+        world.setBlockAt(x, y, z, BlockType.AIR);
+    }
+}
+
+// Seconds per tick, and ticks run in one frame at most
+RandomTicks.TICK_TIME = 0.05;
+RandomTicks.MAX_TICKS = 5;
+
+// Voxels picked per chunk and tick
+RandomTicks.DEFAULT_SPEED = 3;
+
+// Light a dirt block needs above it to grow grass
+RandomTicks.GRASS_LIGHT = 9;
+
+RandomTicks.SIDES = [
+    [-1, 0, 0], [1, 0, 0],
+    [0, -1, 0], [0, 1, 0],
+    [0, 0, -1], [0, 0, 1]
+];
+
+// Handlers by block type
+RandomTicks.handlers = [];
+
+RandomTicks.register(BlockType.GRASS, RandomTicks.tickGrass);
+RandomTicks.register(BlockType.LEAVES, RandomTicks.tickLeaves);
+
+// Export
+window.RandomTicks = RandomTicks;
@@ -0,0 +1,145 @@
+/**
+ * VoxelCraft Optimized - Chunk Storage
+ * Keeps chunks the player has edited so they survive being unloaded
+ */
+
+'use strict';
+
+// Chunk records in IndexedDB, keyed by "<world>/<chunk id>"
+class IndexedDBChunkStore {
+    constructor(dbName = 'voxelcraft', storeName = 'chunks') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+    
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+    
+    // Requests run in the order they were made, so a load after a save sees the saved data
+    async request(mode, action) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+    
+    put(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    }
+    
+    keys(prefix) {
+        return this.request('readonly', store =>
+            store.getAllKeys(IDBKeyRange.bound(prefix, prefix + '\uffff'))
+        );
+    }
+}
+
+// Same interface, kept in memory. Used when IndexedDB is missing, and in tests.
+class MemoryChunkStore {
+    constructor() {
+        this.records = new Map();
+    }
+    
+    async get(key) {
+        const value = this.records.get(key);
+        return value === undefined ? undefined : structuredClone(value);
+    }
+    
+    async put(key, value) {
+        this.records.set(key, structuredClone(value));
+    }
+    
+    async keys(prefix) {
+        return [...this.records.keys()].filter(key => key.startsWith(prefix));
+    }
+}
+
+// Saves and restores chunk voxels for one world on top of a store
+class ChunkStorage {
+    constructor(store = ChunkStorage.createStore(), worldName = 'world') {
+        this.store = store;
+        this.prefix = `${worldName}/`;
+        
+        // Ids with a saved copy, so the chunk manager can decide synchronously
+        this.savedIds = new Set();
+    }
+    
+    static createStore() {
+        return IndexedDBChunkStore.isSupported() ? new IndexedDBChunkStore() : new MemoryChunkStore();
+    }
+    
+    // Read which chunks have been saved before. Falls back to memory if the store fails.
+    async init() {
+        try {
+            const keys = await this.store.keys(this.prefix);
+            keys.forEach(key => this.savedIds.add(key.slice(this.prefix.length)));
+        } catch (error) {
+            console.warn('Chunk storage unavailable, edits will only last this session:', error);
+            this.store = new MemoryChunkStore();
+        }
+    }
+    
+    has(chunkId) {
+        return this.savedIds.has(chunkId);
+    }
+    
+    // Encodes the voxels right away, so the chunk can be disposed while the write runs.
+    // Block states are only stored when some voxel has one.
+    save(chunk) {
+        this.savedIds.add(chunk.id);
+        
+        const record = chunk.voxels.serialize();
+        if (chunk.hasStates()) {
+            record.states = chunk.states.serialize();
+        }
+        return this.store.put(this.prefix + chunk.id, record).catch(error => {
+            console.warn(`Failed to save chunk ${chunk.id}:`, error);
+        });
+    }
+    
+    // Resolves with the saved { voxels, states } storages, states being null for chunks
+    // saved without any, or with null when there is no save for this chunk size
+    async load(chunkId, size) {
+        let record = null;
+        try {
+            record = await this.store.get(this.prefix + chunkId);
+        } catch (error) {
+            console.warn(`Failed to load chunk ${chunkId}:`, error);
+        }
+        
+        if (!record || !record.runs || record.size !== size) {
+            this.savedIds.delete(chunkId);
+            return null;
+        }
+        return {
+            voxels: VoxelStorage.deserialize(record),
+            states: record.states ? VoxelStorage.deserialize(record.states) : null
+        };
+    }
+}
+
+// Export
+window.IndexedDBChunkStore = IndexedDBChunkStore;
+window.MemoryChunkStore = MemoryChunkStore;
+window.ChunkStorage = ChunkStorage;
@@ -7,7 +7,7 @@
 
 // Simple noise function for terrain generation
 class SimplexNoise {
-    constructor(seed = Math.random()) {
+    constructor(seed = Math.floor(Math.random() * 4294967296)) {
         this.seed = seed;
         this.perm = new Uint8Array(512);
         this.gradP = new Array(512);
@@ -21,11 +21,10 @@ class SimplexNoise {
             p[i] = i;
         }
         
-        // Shuffle using seed
-        let n = this.seed * 256;
+        // Shuffle with a generator started from the seed, so each seed gets its own table
+        const random = SimplexNoise.createRandom(this.seed);
         for (let i = 255; i > 0; i--) {
-            n = (n + 31) % 256;
-            const j = Math.floor((n / 256) * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [p[i], p[j]] = [p[j], p[i]];
         }
         
@@ -46,6 +45,17 @@ class SimplexNoise {
         }
     }
     
+    // Mulberry32: floats in [0, 1) from a 32-bit seed, the same sequence for the same seed
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
     noise2D(x, y) {
         // Simple 2D noise implementation
         const X = Math.floor(x) & 255;
@@ -117,85 +127,257 @@ class SimplexNoise {
 
 // Terrain generator class
 class TerrainGenerator {
-    constructor(seed = Date.now()) {
-        this.seed = seed;
-        this.noise = new SimplexNoise(seed);
+    constructor(seed = TerrainGenerator.randomSeed()) {
+        this.seed = TerrainGenerator.parseSeed(seed);
+        this.noise = new SimplexNoise(this.seed);
         
         // Terrain parameters
         this.params = {
-            baseHeight: 32,
-            heightVariation: 16,
             octaves: 4,
             persistence: 0.5,
             lacunarity: 2.0,
             scale: 0.01,
-            waterLevel: 25
+            waterLevel: 25,
+            
+            // Climate noise frequency, and how far apart in climate two biomes still blend
+            climateScale: 0.0025,
+            biomeBlend: 0.2,
+            
+            // World bounds: bedrock at minHeight, nothing at or above maxHeight
+            minHeight: -32,
+            maxHeight: 96
         };
+        
+        // Recent getColumns() results by 'x,z' of their first column, oldest first
+        this.columns = new Map();
+    }
+    
+    // World seed from a number or text, as a 32-bit unsigned integer. Whole numbers, also
+    // typed as text, are used as they are; any other text is hashed (FNV-1a), so the same
+    // text always gives the same world.
+    static parseSeed(value) {
+        const text = String(value).trim();
+        if (TerrainGenerator.isNumberSeed(text)) {
+            return Number(text) >>> 0;
+        }
+        
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // A seed the way the HUD shows it and share links carry it: whole numbers as the
+    // number parseSeed() makes of them, so '-1' and '4294967295' or '7' and '007' read the
+    // same, and other text as typed
+    static normalizeSeed(value) {
+        const text = String(value).trim();
+        return TerrainGenerator.isNumberSeed(text) ? String(TerrainGenerator.parseSeed(text)) : text;
+    }
+    
+    // Whether seed text is a whole number that fits in 32 bits, either way
+    static isNumberSeed(text) {
+        return /^-?\d+$/.test(text) && Math.abs(Number(text)) <= 0xFFFFFFFF;
+    }
+    
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
     }
     
     // Generate height at world coordinates
     getHeightAt(worldX, worldZ) {
+        return this.getColumnAt(worldX, worldZ).height;
+    }
+    
+    // Surface height and biome of a column. The same terrain noise shapes every biome,
+    // scaled by each biome's height profile and averaged by its weight, so the ground
+    // slopes from one profile to the next across a border. Peaks ease off below the
+    // build limit, leaving room for a tree on top, rather than being cut flat.
+    getColumnAt(worldX, worldZ) {
+        const climate = this.getClimateAt(worldX, worldZ);
+        const weights = this.getBiomeWeights(climate.temperature, climate.humidity);
+        const terrain = this.getTerrainNoise(worldX, worldZ);
+        
         let height = 0;
+        let total = 0;
+        Biomes.forEach((biome, i) => {
+            if (weights[i] === 0) return;
+            height += (biome.baseHeight + terrain * biome.heightVariation) * weights[i];
+            total += weights[i];
+        });
+        
+        height /= total;
+        const ceiling = this.params.maxHeight - TerrainGenerator.TREE_HEIGHT;
+        const easing = TerrainGenerator.PEAK_EASING;
+        if (height > ceiling - easing) {
+            height = ceiling - easing * Math.exp((ceiling - easing - height) / easing);
+        }
+        
+        return { height: Math.floor(height), biome: this.getBiomeAt(worldX, worldZ, climate) };
+    }
+    
+    // getColumnAt() for a square of columns, `size` wide from a world position, as
+    // { heights, biomes } indexed x + z * size. Every chunk of a column of chunks and
+    // its decorations ask for the same square, so the last few are kept.
+    getColumns(startX, startZ, size) {
+        const key = `${startX},${startZ}`;
+        let columns = this.columns.get(key);
+        
+        if (columns && columns.size === size) {
+            // Move it to the back, as the most recently used
+            this.columns.delete(key);
+        } else {
+            columns = { size, heights: new Int32Array(size * size), biomes: new Array(size * size) };
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
+                    const column = this.getColumnAt(startX + x, startZ + z);
+                    columns.heights[x + z * size] = column.height;
+                    columns.biomes[x + z * size] = column.biome;
+                }
+            }
+            
+            if (this.columns.size >= TerrainGenerator.COLUMN_CACHE_SIZE) {
+                this.columns.delete(this.columns.keys().next().value);
+            }
+        }
+        
+        this.columns.set(key, columns);
+        return columns;
+    }
+    
+    // Octave noise for more realistic terrain, from -1 to 1
+    getTerrainNoise(worldX, worldZ) {
+        let value = 0;
         let amplitude = 1;
         let frequency = this.params.scale;
         let maxValue = 0;
         
-        // Octave noise for more realistic terrain
         for (let i = 0; i < this.params.octaves; i++) {
-            height += this.noise.noise2D(worldX * frequency, worldZ * frequency) * amplitude;
+            value += this.noise.noise2D(worldX * frequency, worldZ * frequency) * amplitude;
             maxValue += amplitude;
             amplitude *= this.params.persistence;
             frequency *= this.params.lacunarity;
         }
         
-        // Normalize and scale
-        height = height / maxValue;
-        height = this.params.baseHeight + height * this.params.heightVariation;
+        return value / maxValue;
+    }
+    
+    // Temperature and humidity of a column, each from -1 to 1, from two slow noise maps
+    // offset away from each other and from the terrain noise
+    getClimateAt(worldX, worldZ) {
+        const scale = this.params.climateScale;
+        return {
+            temperature: this.getClimateNoise(worldX * scale + 500, worldZ * scale + 500),
+            humidity: this.getClimateNoise(worldX * scale - 700, worldZ * scale + 300)
+        };
+    }
+    
+    getClimateNoise(x, y) {
+        const value = this.noise.noise2D(x, y) + this.noise.noise2D(x * 2 + 50, y * 2 + 50) * 0.5;
+        return Math.max(-1, Math.min(1, value * 2));
+    }
+    
+    // How much each biome of the list counts at a climate: 1 for the closest, fading to 0
+    // for biomes more than biomeBlend further away than that, so near a border both
+    // sides count about the same
+    getBiomeWeights(temperature, humidity) {
+        const distances = Biomes.map(biome =>
+            Math.hypot(biome.temperature - temperature, biome.humidity - humidity)
+        );
+        const nearest = Math.min(...distances);
         
-        return Math.floor(height);
+        return distances.map(distance => {
+            const weight = Math.max(0, 1 - (distance - nearest) / this.params.biomeBlend);
+            return weight * weight;
+        });
+    }
+    
+    // Biome whose blocks and decorations a column gets: the closest one to its climate,
+    // nudged by a little fine noise so borders fray instead of running smooth
+    getBiomeAt(worldX, worldZ, climate = this.getClimateAt(worldX, worldZ)) {
+        const temperature = climate.temperature + this.noise.noise2D(worldX * 0.15 + 900, worldZ * 0.15) * 0.04;
+        const humidity = climate.humidity + this.noise.noise2D(worldX * 0.15, worldZ * 0.15 + 900) * 0.04;
+        
+        let closest = Biomes[0];
+        let best = Infinity;
+        Biomes.forEach(biome => {
+            const distance = Math.hypot(biome.temperature - temperature, biome.humidity - humidity);
+            if (distance < best) {
+                best = distance;
+                closest = biome;
+            }
+        });
+        return closest;
     }
     
     // Generate chunk terrain
     generateChunk(chunk) {
-        const startX = chunk.x * chunk.size;
-        const startY = chunk.y * chunk.size;
-        const startZ = chunk.z * chunk.size;
+        const hasBlocks = this.fillRegion(
+            chunk.x * chunk.size,
+            chunk.y * chunk.size,
+            chunk.z * chunk.size,
+            chunk.size,
+            (x, y, z, blockType) => chunk.setVoxel(x, y, z, blockType)
+        );
         
+        chunk.isEmpty = !hasBlocks;
+        chunk.needsUpdate = true;
+        
+        return chunk;
+    }
+    
+    // Fill a cube of terrain starting at a world position.
+    // setVoxel receives local coordinates and is only called for non-air blocks.
+    fillRegion(startX, startY, startZ, size, setVoxel) {
+        const columns = this.getColumns(startX, startZ, size);
         let hasBlocks = false;
         
-        for (let x = 0; x < chunk.size; x++) {
-            for (let z = 0; z < chunk.size; z++) {
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
                 const worldX = startX + x;
                 const worldZ = startZ + z;
                 
-                // Get terrain height
-                const surfaceHeight = this.getHeightAt(worldX, worldZ);
+                // Get terrain height, and the biome's blocks for this column
+                const surfaceHeight = columns.heights[x + z * size];
+                const biome = columns.biomes[x + z * size];
+                const surfaceBlock = this.getSurfaceBlock(biome, surfaceHeight);
                 
-                for (let y = 0; y < chunk.size; y++) {
+                for (let y = 0; y < size; y++) {
                     const worldY = startY + y;
                     
+                    // Nothing outside the world bounds
+                    if (worldY < this.params.minHeight || worldY >= this.params.maxHeight) {
+                        continue;
+                    }
+                    
+                    // Bedrock floor, never carved by caves
+                    if (worldY === this.params.minHeight) {
+                        setVoxel(x, y, z, BlockType.BEDROCK);
+                        hasBlocks = true;
+                        continue;
+                    }
+                    
                     let blockType = BlockType.AIR;
                     
                     if (worldY < surfaceHeight - 3) {
                         // Deep underground - stone
                         blockType = BlockType.STONE;
                     } else if (worldY < surfaceHeight) {
-                        // Near surface - dirt
-                        blockType = BlockType.DIRT;
+                        // Near surface - dirt, or the biome's own filler
+                        blockType = biome.filler;
                     } else if (worldY === surfaceHeight) {
                         // Surface block
-                        if (worldY < this.params.waterLevel) {
-                            blockType = BlockType.SAND;
-                        } else {
-                            blockType = BlockType.GRASS;
-                        }
+                        blockType = surfaceBlock;
                     } else if (worldY <= this.params.waterLevel) {
-                        // Water
-                        blockType = BlockType.WATER;
+                        // Water, iced over in cold biomes
+                        blockType = biome.frozen && worldY === this.params.waterLevel ?
+                            BlockType.ICE : BlockType.WATER;
                     }
                     
                     // Add caves using 3D noise
-                    if (blockType !== BlockType.AIR && blockType !== BlockType.WATER) {
+                    if (blockType !== BlockType.AIR && worldY <= surfaceHeight) {
                         const caveNoise = this.noise.noise3D(
                             worldX * 0.05,
                             worldY * 0.05,
@@ -207,25 +389,30 @@ class TerrainGenerator {
                         }
                     }
                     
-                    // Set block in chunk
+                    // Set block in region
                     if (blockType !== BlockType.AIR) {
-                        chunk.setVoxel(x, y, z, blockType);
+                        setVoxel(x, y, z, blockType);
                         hasBlocks = true;
                     }
                 }
             }
         }
         
-        chunk.isEmpty = !hasBlocks;
-        chunk.needsUpdate = true;
-        
-        return chunk;
+        return hasBlocks;
+    }
+    
+    // Top block of a column: the biome's surface, what lies under water, or snow high up
+    getSurfaceBlock(biome, surfaceHeight) {
+        if (surfaceHeight < this.params.waterLevel) return biome.underwater;
+        if (biome.snowLine !== undefined && surfaceHeight >= biome.snowLine) return BlockType.SNOW;
+        return biome.surface;
     }
     
     // Generate decorations (trees, etc.)
     generateDecorations(chunk) {
         const startX = chunk.x * chunk.size;
         const startZ = chunk.z * chunk.size;
+        const columns = this.getColumns(startX, startZ, chunk.size);
         
         // Simple tree generation
         for (let x = 2; x < chunk.size - 2; x += 4) {
@@ -233,22 +420,51 @@ class TerrainGenerator {
                 const worldX = startX + x;
                 const worldZ = startZ + z;
                 
-                // Random chance for tree
+                // Random chance for tree, denser in some biomes and none in others
                 const treeChance = this.noise.noise2D(worldX * 0.1, worldZ * 0.1);
-                if (treeChance > 0.6) {
-                    const surfaceHeight = this.getHeightAt(worldX, worldZ);
-                    
-                    // Check if surface is grass
+                const surfaceHeight = columns.heights[x + z * chunk.size];
+                const biome = columns.biomes[x + z * chunk.size];
+                if (biome.trees !== null && treeChance > biome.trees) {
+                    // Check if surface is the biome's own, not shore sand or mountain snow
                     const surfaceY = surfaceHeight - chunk.y * chunk.size;
                     if (surfaceY >= 0 && surfaceY < chunk.size) {
                         const surfaceBlock = chunk.getVoxel(x, surfaceY, z);
-                        if (surfaceBlock === BlockType.GRASS) {
+                        if (surfaceBlock === biome.surface) {
                             this.generateTree(chunk, x, surfaceY + 1, z);
                         }
                     }
                 }
             }
         }
+        
+        this.generatePlants(chunk, columns);
+    }
+    
+    // Patches of tall grass with the odd flower on open grass, as often as the biome has them
+    generatePlants(chunk, columns = this.getColumns(chunk.x * chunk.size, chunk.z * chunk.size, chunk.size)) {
+        const startX = chunk.x * chunk.size;
+        const startZ = chunk.z * chunk.size;
+        
+        for (let x = 0; x < chunk.size; x++) {
+            for (let z = 0; z < chunk.size; z++) {
+                const worldX = startX + x;
+                const worldZ = startZ + z;
+                
+                const plantNoise = this.noise.noise2D(worldX * 0.37 + 100, worldZ * 0.37 + 100);
+                const surfaceHeight = columns.heights[x + z * chunk.size];
+                const biome = columns.biomes[x + z * chunk.size];
+                const plant = biome.tallGrass !== null && plantNoise > biome.tallGrass ? BlockType.TALL_GRASS :
+                    (biome.flowers !== null && plantNoise < -biome.flowers ? BlockType.FLOWER : BlockType.AIR);
+                if (plant === BlockType.AIR) continue;
+                
+                const surfaceY = surfaceHeight - chunk.y * chunk.size;
+                if (surfaceY >= 0 && surfaceY + 1 < chunk.size &&
+                    chunk.getVoxel(x, surfaceY, z) === BlockType.GRASS &&
+                    chunk.getVoxel(x, surfaceY + 1, z) === BlockType.AIR) {
+                    chunk.setVoxel(x, surfaceY + 1, z, plant);
+                }
+            }
+        }
     }
     
     // Generate a simple tree
@@ -287,30 +503,95 @@ class TerrainGenerator {
     }
 }
 
+// Blocks a tree reaches above the ground, kept free under the build limit
+TerrainGenerator.TREE_HEIGHT = 7;
+
+// How far below that ceiling peaks start to flatten out towards it
+TerrainGenerator.PEAK_EASING = 16;
+
+// Squares of columns kept by getColumns(), enough for every column of chunks in view
+TerrainGenerator.COLUMN_CACHE_SIZE = 256;
+
 // World class that manages terrain generation
 class World {
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
-        this.terrainGenerator = new TerrainGenerator();
-        this.chunkManager = new ChunkManager(scene);
-        this.blockManager = new BlockManager();
+        this.camera = options.camera || null;
+        // The same seed, as a number or text, always generates the same chunks
+        this.terrainGenerator = new TerrainGenerator(options.seed);
+        this.seed = this.terrainGenerator.seed;
+        this.chunkManager = new ChunkManager(scene, options.chunkSize, options.renderDistance);
+        
+        // Build height limits
+        this.minHeight = options.minHeight !== undefined ? options.minHeight : this.terrainGenerator.params.minHeight;
+        this.maxHeight = options.worldHeight !== undefined ?
+            this.minHeight + options.worldHeight : this.terrainGenerator.params.maxHeight;
+        this.terrainGenerator.params.minHeight = this.minHeight;
+        this.terrainGenerator.params.maxHeight = this.maxHeight;
+        this.chunkManager.setHeightRange(this.minHeight, this.maxHeight);
+        
+        // Time per frame for building chunks
+        if (options.buildBudget !== undefined) {
+            this.chunkManager.setBuildBudget(options.buildBudget);
+        }
+        
+        // Stream new chunks from background workers when possible
+        this.chunkManager.terrainGenerator = this.terrainGenerator;
+        this.chunkManager.initWorkerPool();
+        
+        // Chunks the player edited are saved when they unload and restored on return,
+        // kept apart for every seed
+        this.chunkManager.storage = options.storage ||
+            new ChunkStorage(ChunkStorage.createStore(), options.name || `world-${this.seed}`);
+        
+        // Sky and block light, baked into chunk meshes
+        this.lighting = new LightEngine(this.chunkManager);
+        this.chunkManager.lighting = this.lighting;
+        
+        // Water and other fluids flow around blocks that change
+        this.fluids = new FluidSimulator(this);
+        
+        // Sand and other gravity blocks fall when their support goes
+        this.fallingBlocks = new FallingBlocks(this);
+        
+        // Grass spreading, leaf decay and other slow changes
+        this.randomTicks = new RandomTicks(this, options.randomTickSpeed);
+        
+        // Block textures: painted tiles, replaced by a PNG atlas when one is given
+        this.textureAtlas = new TextureAtlas();
+        if (this.textureAtlas.generate()) {
+            Chunk.setTextureAtlas(this.textureAtlas);
+        }
+        if (options.textureAtlas) {
+            this.textureAtlas.load(options.textureAtlas).then(loaded => {
+                if (loaded) {
+                    Chunk.setTextureAtlas(this.textureAtlas);
+                }
+            });
+        }
+        
+        // Hide chunks outside the camera view
+        if (this.camera) {
+            this.chunkManager.initFrustumCuller(this.camera);
+        }
         
-        // Initialize chunk manager with camera
         this.chunks = this.chunkManager.chunks;
     }
     
     async generate() {
+        await this.chunkManager.storage.init();
+        
         // Generate initial chunks around origin
         const initialRadius = 2;
         for (let x = -initialRadius; x <= initialRadius; x++) {
-            for (let y = -1; y <= 1; y++) {
+            for (let y = this.chunkManager.minChunkY; y <= this.chunkManager.maxChunkY; y++) {
                 for (let z = -initialRadius; z <= initialRadius; z++) {
+                    // Generate synchronously while the loading screen is up
                     const chunk = this.chunkManager.getChunkByIndex(x, y, z);
-                    this.terrainGenerator.generateChunk(chunk);
-                    
-                    // Add decorations to surface chunks
-                    if (y === 0) {
-                        this.terrainGenerator.generateDecorations(chunk);
+                    if (this.chunkManager.storage.has(chunk.id)) {
+                        await this.chunkManager.restoreChunk(chunk);
+                    } else {
+                        this.chunkManager.generateChunk(chunk);
                     }
                 }
             }
@@ -321,47 +602,270 @@ class World {
     
     update(cameraPosition, deltaTime) {
         // Update chunk manager
-        this.chunkManager.update(cameraPosition, window.game.camera);
+        this.chunkManager.update(cameraPosition, this.camera);
+        this.fluids.update(deltaTime);
+        this.fallingBlocks.update(deltaTime);
+        this.randomTicks.update(deltaTime);
+        
+        // Rebuild what this frame's edits changed, once, now that they are all in
+        this.chunkManager.endFrame(cameraPosition);
+    }
+    
+    // Whether a height lies between bedrock and the build limit
+    isInBounds(worldY) {
+        const y = Math.floor(worldY);
+        return y >= this.minHeight && y < this.maxHeight;
     }
     
+    // Whether the chunk holding a position has its blocks, as opposed to not existing
+    // yet or still waiting for them
+    isLoaded(worldX, worldY, worldZ) {
+        if (!this.isInBounds(worldY)) return false;
+        
+        const chunk = this.chunkManager.findChunk(worldX, worldY, worldZ);
+        return !!chunk && chunk.isGenerated;
+    }
+    
+    // Block at a position; air where no chunk is loaded. Looking never creates a chunk,
+    // since one made outside the loaded area would never be generated.
     getBlockAt(worldX, worldY, worldZ) {
-        const chunk = this.chunkManager.getChunk(worldX, worldY, worldZ);
+        if (!this.isInBounds(worldY)) return BlockType.AIR;
+        
+        const chunk = this.chunkManager.findChunk(worldX, worldY, worldZ);
         if (!chunk) return BlockType.AIR;
         
-        const localX = Math.floor(worldX) % chunk.size;
-        const localY = Math.floor(worldY) % chunk.size;
-        const localZ = Math.floor(worldZ) % chunk.size;
+        const localX = Math.floor(worldX) - chunk.x * chunk.size;
+        const localY = Math.floor(worldY) - chunk.y * chunk.size;
+        const localZ = Math.floor(worldZ) - chunk.z * chunk.size;
         
         return chunk.getVoxel(localX, localY, localZ);
     }
     
-    setBlockAt(worldX, worldY, worldZ, blockType) {
-        const chunk = this.chunkManager.getChunk(worldX, worldY, worldZ);
-        if (!chunk) return false;
+    // Cells the crosshair ray aims at, from where it met a block's mesh: `hit`, the block it
+    // met, and `place`, where a new block goes, or null if that cell is taken. The ray can
+    // meet a block inside its cell, on a slab, a step or a plant, so cells are found by
+    // stepping a little along the ray rather than along the face normal.
+    getTargetCells(point, direction, normal) {
+        const epsilon = 1e-3;
+        const cellAlong = distance => ({
+            x: Math.floor(point.x + direction.x * distance),
+            y: Math.floor(point.y + direction.y * distance),
+            z: Math.floor(point.z + direction.z * distance)
+        });
+        const hit = cellAlong(epsilon);
+        let place = cellAlong(-epsilon);
         
-        const localX = Math.floor(worldX) % chunk.size;
-        const localY = Math.floor(worldY) % chunk.size;
-        const localZ = Math.floor(worldZ) % chunk.size;
+        if (BlockRegistry.isReplaceable(this.getBlockAt(hit.x, hit.y, hit.z))) {
+            // Plants and the like make way for the new block
+            place = hit;
+        } else if (place.x === hit.x && place.y === hit.y && place.z === hit.z) {
+            // Met inside the cell: the new block goes beyond the face, along its main axis
+            const axis = ['x', 'y', 'z'].reduce((best, a) =>
+                (Math.abs(normal[a]) > Math.abs(normal[best]) ? a : best));
+            place = Object.assign({}, hit, { [axis]: hit[axis] + Math.sign(normal[axis]) });
+        }
         
-        const success = chunk.setVoxel(localX, localY, localZ, blockType);
+        const target = this.getBlockAt(place.x, place.y, place.z);
+        if (!this.isLoaded(place.x, place.y, place.z) ||
+            !(BlockRegistry.isReplaceable(target) || BlockRegistry.isFluid(target))) {
+            place = null;
+        }
         
-        if (success) {
-            // Update chunk mesh
-            this.chunkManager.updateChunkMesh(chunk);
+        return { hit, place };
+    }
+    
+    // Boxes the player collides with in the block at a position, in world coordinates as
+    // [minX, minY, minZ, maxX, maxY, maxZ]; slabs and stairs have less than a full cube
+    getCollisionBoxes(worldX, worldY, worldZ) {
+        const x = Math.floor(worldX);
+        const y = Math.floor(worldY);
+        const z = Math.floor(worldZ);
+        const boxes = BlockRegistry.getCollisionBoxes(this.getBlockAt(x, y, z), this.getStateAt(x, y, z));
+        
+        return boxes.map(box => [
+            box[0] + x, box[1] + y, box[2] + z,
+            box[3] + x, box[4] + y, box[5] + z
+        ]);
+    }
+    
+    // Moves an upright box, `width` wide and `height` tall with its feet at `position`, by
+    // `motion`, stopping it against the collision boxes of the blocks around it. Motion is
+    // clipped in place, so a blocked axis comes back shortened or zero. A box standing on
+    // the ground climbs ledges up to `stepHeight` high, such as slabs and stairs.
+    // Returns whether the box stands on the ground after the move.
+    moveBox(position, motion, width, height, stepHeight = 0) {
+        const half = width / 2;
+        const box = [
+            position.x - half, position.y, position.z - half,
+            position.x + half, position.y + height, position.z + half
+        ];
+        
+        // Everything the box could touch on the way, stepping up included
+        const reach = [
+            Math.min(motion.x, 0), Math.min(motion.y, 0), Math.min(motion.z, 0),
+            Math.max(motion.x, 0), Math.max(motion.y, 0) + stepHeight, Math.max(motion.z, 0)
+        ];
+        const obstacles = this.getObstacles(
+            box[0] + reach[0], box[1] + reach[1], box[2] + reach[2],
+            box[3] + reach[3], box[4] + reach[4], box[5] + reach[5]
+        );
+        
+        // Vertical first, then across
+        const moved = box.slice();
+        const dy = World.sweep(obstacles, moved, 1, motion.y);
+        const onGround = motion.y < 0 && dy > motion.y;
+        const dx = World.sweep(obstacles, moved, 0, motion.x);
+        const dz = World.sweep(obstacles, moved, 2, motion.z);
+        
+        // Blocked across while on the ground: try the same move from a step higher
+        if (stepHeight > 0 && onGround && (dx !== motion.x || dz !== motion.z)) {
+            const stepped = box.slice();
+            const up = World.sweep(obstacles, stepped, 1, stepHeight);
+            const sx = World.sweep(obstacles, stepped, 0, motion.x);
+            const sz = World.sweep(obstacles, stepped, 2, motion.z);
+            World.sweep(obstacles, stepped, 1, dy - up);
             
-            // Update neighbor chunks if block is on edge
-            if (localX === 0 || localX === chunk.size - 1 ||
-                localY === 0 || localY === chunk.size - 1 ||
-                localZ === 0 || localZ === chunk.size - 1) {
+            if (sx * sx + sz * sz > dx * dx + dz * dz) {
+                motion.set(sx, stepped[1] - box[1], sz);
+                position.set(stepped[0] + half, stepped[1], stepped[2] + half);
+                return true;
+            }
+        }
+        
+        motion.set(dx, dy, dz);
+        position.set(moved[0] + half, moved[1], moved[2] + half);
+        return onGround;
+    }
+    
+    // Collision boxes of every block meeting a region. Unloaded blocks, and everything
+    // below bedrock, are solid, so nothing falls out of the world while chunks load.
+    getObstacles(minX, minY, minZ, maxX, maxY, maxZ) {
+        const obstacles = [];
+        
+        for (let x = Math.floor(minX); x < maxX; x++) {
+            for (let y = Math.floor(minY); y < maxY; y++) {
+                if (y >= this.maxHeight) break;
                 
-                Object.values(chunk.neighbors).forEach(neighbor => {
-                    if (neighbor) {
-                        neighbor.needsUpdate = true;
+                for (let z = Math.floor(minZ); z < maxZ; z++) {
+                    if (!this.isLoaded(x, y, z)) {
+                        obstacles.push([x, y, z, x + 1, y + 1, z + 1]);
+                    } else {
+                        obstacles.push(...this.getCollisionBoxes(x, y, z));
                     }
-                });
+                }
+            }
+        }
+        
+        return obstacles;
+    }
+    
+    // Moves a box along one axis (0 x, 1 y, 2 z) by up to `distance`, stopping at the first
+    // obstacle in the way, and returns how far it went. Obstacles the box already overlaps
+    // don't stop it, so it can always get out of one.
+    static sweep(obstacles, box, axis, distance) {
+        if (distance === 0) return 0;
+        
+        const epsilon = 1e-7;
+        const a = (axis + 1) % 3;
+        const b = (axis + 2) % 3;
+        
+        for (const obstacle of obstacles) {
+            // Only obstacles level with the box on the other two axes are in the way
+            if (obstacle[a] >= box[a + 3] - epsilon || obstacle[a + 3] <= box[a] + epsilon) continue;
+            if (obstacle[b] >= box[b + 3] - epsilon || obstacle[b + 3] <= box[b] + epsilon) continue;
+            
+            if (distance > 0 && obstacle[axis] >= box[axis + 3] - epsilon) {
+                distance = Math.min(distance, Math.max(0, obstacle[axis] - box[axis + 3]));
+            } else if (distance < 0 && obstacle[axis + 3] <= box[axis] + epsilon) {
+                distance = Math.max(distance, Math.min(0, obstacle[axis + 3] - box[axis]));
+            }
+        }
+        
+        box[axis] += distance;
+        box[axis + 3] += distance;
+        return distance;
+    }
+    
+    // Height of the top of the highest block the player could stand on in a column, or
+    // the bottom of the world if there's none
+    getGroundHeight(worldX, worldZ) {
+        for (let y = this.maxHeight - 1; y >= this.minHeight; y--) {
+            const boxes = this.getCollisionBoxes(worldX, y, worldZ);
+            if (boxes.length > 0) {
+                return Math.max(...boxes.map(box => box[4]));
             }
         }
         
+        return this.minHeight;
+    }
+    
+    // Brightest light at a position, 0-15 from the sky or any block light. Open sky above
+    // the world; nothing is lit where chunks haven't been lit yet.
+    getLightAt(worldX, worldY, worldZ) {
+        if (worldY >= this.maxHeight) return 15;
+        if (!this.isInBounds(worldY)) return 0;
+        
+        const chunk = this.chunkManager.findChunk(worldX, worldY, worldZ);
+        if (!chunk || !chunk.light) return 0;
+        
+        const localX = Math.floor(worldX) - chunk.x * chunk.size;
+        const localY = Math.floor(worldY) - chunk.y * chunk.size;
+        const localZ = Math.floor(worldZ) - chunk.z * chunk.size;
+        const light = chunk.light[localX + localY * chunk.size + localZ * chunk.size * chunk.size];
+        
+        return Math.max(
+            LightEngine.getLevel(light, LightEngine.SKY),
+            LightEngine.getLevel(light, LightEngine.RED),
+            LightEngine.getLevel(light, LightEngine.GREEN),
+            LightEngine.getLevel(light, LightEngine.BLUE)
+        );
+    }
+    
+    // Biome of the column at a position, as generated; see Biomes
+    getBiomeAt(worldX, worldZ) {
+        return this.terrainGenerator.getBiomeAt(Math.floor(worldX), Math.floor(worldZ));
+    }
+    
+    // Block state at a position, e.g. the orientation of a log; found like getBlockAt
+    getStateAt(worldX, worldY, worldZ) {
+        if (!this.isInBounds(worldY)) return 0;
+        
+        const chunk = this.chunkManager.findChunk(worldX, worldY, worldZ);
+        if (!chunk) return 0;
+        
+        const localX = Math.floor(worldX) - chunk.x * chunk.size;
+        const localY = Math.floor(worldY) - chunk.y * chunk.size;
+        const localZ = Math.floor(worldZ) - chunk.z * chunk.size;
+        
+        return chunk.getState(localX, localY, localZ);
+    }
+    
+    // Place a block. Fails where the chunk has not been generated, as generation would
+    // overwrite the block.
+    setBlockAt(worldX, worldY, worldZ, blockType, state = 0) {
+        if (!this.isInBounds(worldY)) return false;
+        
+        const chunk = this.chunkManager.findChunk(worldX, worldY, worldZ);
+        if (!chunk || !chunk.isGenerated) return false;
+        
+        const localX = Math.floor(worldX) - chunk.x * chunk.size;
+        const localY = Math.floor(worldY) - chunk.y * chunk.size;
+        const localZ = Math.floor(worldZ) - chunk.z * chunk.size;
+        
+        const success = chunk.setVoxel(localX, localY, localZ, blockType, state);
+        
+        if (success) {
+            chunk.modified = true;
+            const relit = this.lighting.updateBlock(chunk, localX, localY, localZ);
+            
+            // Meshes are rebuilt once at the end of the frame, however many edits it has
+            this.chunkManager.markVoxelDirty(chunk, localX, localY, localZ);
+            relit.forEach(litChunk => this.chunkManager.markDirty(litChunk));
+            
+            this.fluids.blockChanged(worldX, worldY, worldZ);
+            this.fallingBlocks.blockChanged(worldX, worldY, worldZ);
+        }
+        
         return success;
     }
     
@@ -369,9 +873,15 @@ class World {
         return this.chunkManager.getStats().totalBlocks;
     }
     
+    // Write edited chunks to storage, e.g. before the page closes
+    save() {
+        return this.chunkManager.saveModifiedChunks();
+    }
+    
     dispose() {
+        this.fallingBlocks.dispose();
         this.chunkManager.dispose();
-        this.blockManager.dispose();
+        this.textureAtlas.dispose();
     }
 }
 
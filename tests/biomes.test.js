@@ -0,0 +1,139 @@
+/**
+ * VoxelCraft Optimized - Biome Tests
+ * Climate picking biomes, and heights blending across their borders in TerrainGenerator
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { TerrainGenerator, Biomes, BlockType } = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/block.js',
+    'js/world/biome.js',
+    'js/world/lighting.js',
+    'js/world/terrain.js'
+]);
+
+const biome = id => Biomes.find(candidate => candidate.id === id);
+
+// The height steps along the x axis where the biome changes
+function borderSteps(generator, length) {
+    const steps = [];
+    let previous = null;
+    for (let x = 0; x < length; x++) {
+        const column = generator.getColumnAt(x, 0);
+        if (previous && column.biome !== previous.biome) {
+            steps.push(Math.abs(column.height - previous.height));
+        }
+        previous = column;
+    }
+    return steps;
+}
+
+test('a climate picks the biome closest to it', () => {
+    const generator = new TerrainGenerator(7);
+    Biomes.forEach(expected => {
+        const climate = { temperature: expected.temperature, humidity: expected.humidity };
+        assert.strictEqual(generator.getBiomeAt(0, 0, climate), expected);
+    });
+    
+    const hot = { temperature: 1, humidity: -1 };
+    assert.strictEqual(generator.getBiomeAt(0, 0, hot), biome('desert'));
+});
+
+test('only the closest biome counts away from borders, and both sides half way between', () => {
+    const generator = new TerrainGenerator(7);
+    const index = id => Biomes.indexOf(biome(id));
+    
+    const inside = generator.getBiomeWeights(biome('desert').temperature, biome('desert').humidity);
+    assert.strictEqual(inside[index('desert')], 1);
+    assert.strictEqual(inside.filter(weight => weight > 0).length, 1);
+    
+    const plains = biome('plains');
+    const forest = biome('forest');
+    const border = generator.getBiomeWeights(
+        (plains.temperature + forest.temperature) / 2,
+        (plains.humidity + forest.humidity) / 2
+    );
+    assert.ok(Math.abs(border[index('plains')] - border[index('forest')]) < 1e-9);
+    assert.ok(border[index('plains')] > 0.9);
+});
+
+test('every biome turns up, and the ground never jumps at their borders', () => {
+    const generator = new TerrainGenerator(7);
+    const steps = borderSteps(generator, 20000);
+    const found = new Set();
+    for (let x = 0; x < 20000; x += 10) {
+        found.add(generator.getColumnAt(x, 0).biome.id);
+    }
+    
+    assert.deepStrictEqual([...found].sort(), [...Biomes.map(candidate => candidate.id)].sort());
+    assert.ok(steps.length > 100);
+    assert.ok(Math.max(...steps) <= 2, `steps of ${Math.max(...steps)}`);
+});
+
+test('without blending the ground steps between biome heights', () => {
+    const generator = new TerrainGenerator(7);
+    generator.params.biomeBlend = 1e-9;
+    assert.ok(Math.max(...borderSteps(generator, 20000)) > 10);
+});
+
+test('columns get their biome\'s surface, and snow above its snow line', () => {
+    const generator = new TerrainGenerator(7);
+    const { minHeight, maxHeight, waterLevel } = generator.params;
+    const biomes = new Set();
+    let checked = 0;
+    
+    // A column of chunks every 500 blocks, generated the way chunks are
+    for (let startX = 0; startX < 20000; startX += 500) {
+        const top = new Map();
+        for (let startY = minHeight; startY < maxHeight; startY += 16) {
+            generator.fillRegion(startX, startY, 0, 16, (x, y, z, block) => {
+                const key = `${startX + x},${z}`;
+                if (!top.has(key) || top.get(key).y < startY + y) top.set(key, { y: startY + y, block });
+            });
+        }
+        
+        top.forEach(({ y, block }, key) => {
+            const [x, z] = key.split(',').map(Number);
+            const column = generator.getColumnAt(x, z);
+            if (y !== column.height || column.height <= waterLevel) return; // trees, caves and water
+            
+            const snow = column.biome.snowLine !== undefined && column.height >= column.biome.snowLine;
+            assert.strictEqual(block, snow ? BlockType.SNOW : column.biome.surface, `column ${key}`);
+            biomes.add(column.biome.id);
+            checked++;
+        });
+    }
+    assert.ok(checked > 1000 && biomes.size >= 4, `${checked} columns of ${[...biomes]}`);
+});
+
+test('peaks ease off below the build limit, leaving room for a tree', () => {
+    const generator = new TerrainGenerator(7);
+    generator.params.maxHeight = 40;
+    const ceiling = 40 - TerrainGenerator.TREE_HEIGHT;
+    
+    let highest = -Infinity;
+    for (let x = 0; x < 20000; x += 2) {
+        highest = Math.max(highest, generator.getColumnAt(x, 0).height);
+    }
+    assert.ok(highest < ceiling, `a peak at ${highest}`);
+    assert.ok(highest >= ceiling - TerrainGenerator.PEAK_EASING / 2, `the highest peak at ${highest}`);
+});
+
+test('a square of columns matches its columns one by one, and is kept', () => {
+    const generator = new TerrainGenerator(7);
+    const columns = generator.getColumns(-40, 96, 16);
+    for (let z = 0; z < 16; z++) {
+        for (let x = 0; x < 16; x++) {
+            const column = generator.getColumnAt(-40 + x, 96 + z);
+            assert.strictEqual(columns.heights[x + z * 16], column.height);
+            assert.strictEqual(columns.biomes[x + z * 16], column.biome);
+        }
+    }
+    assert.strictEqual(generator.getColumns(-40, 96, 16), columns);
+});
@@ -0,0 +1,125 @@
+/**
+ * VoxelCraft Optimized - Block Registry Tests
+ * Registering block definitions, from code and from JSON files, in BlockRegistry
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+// A fresh registry for each test, since registering changes it for good. `files` maps
+// URLs to what fetch() answers with.
+function loadRegistry(files = {}) {
+    const fetch = async url => ({
+        ok: url in files,
+        status: url in files ? 200 : 404,
+        json: async () => JSON.parse(JSON.stringify(files[url]))
+    });
+    return loadScripts(['js/engine/voxel-storage.js', 'js/engine/chunk.js', 'js/world/block.js'], { fetch });
+}
+
+const BRICK = { id: 100, name: 'Red Brick', color: '#B0463C', hardness: 2, placeable: true };
+
+test('built-in blocks are read from the registry', () => {
+    const { BlockRegistry, BlockType } = loadRegistry();
+    assert.strictEqual(BlockRegistry.getName(BlockType.STONE), 'Stone');
+    assert.ok(BlockRegistry.isSolid(BlockType.STONE));
+    assert.ok(!BlockRegistry.isSolid(BlockType.WATER));
+    assert.ok(BlockRegistry.isTransparent(BlockType.LEAVES));
+    assert.ok(!BlockRegistry.isBreakable(BlockType.BEDROCK));
+    assert.strictEqual(BlockRegistry.getName(9999), 'Unknown');
+});
+
+test('a registered block gets a BlockType key, its colors and a hotbar slot', () => {
+    const { BlockRegistry, BlockType, PlaceableBlocks } = loadRegistry();
+    BlockRegistry.register(BRICK.id, Object.assign({ faces: { top: { color: 0x000000 } } }, BRICK));
+    
+    assert.strictEqual(BlockType.RED_BRICK, 100);
+    assert.strictEqual(BlockRegistry.getHardness(100), 2);
+    assert.ok(PlaceableBlocks.includes(100));
+    assert.strictEqual(BlockRegistry.getFaceColor(100, 'left').r, 0xB0 / 255);
+    assert.strictEqual(BlockRegistry.getFaceColor(100, 'top').r, 0);
+    assert.strictEqual(BlockRegistry.changes.length, 1);
+});
+
+test('block files load as a list or under "blocks"', async () => {
+    const { BlockRegistry, BlockType } = loadRegistry({
+        'list.json': [BRICK],
+        'object.json': { blocks: [{ id: 101, name: 'Marble', color: 0xEEEEEE }] }
+    });
+    await BlockRegistry.load('list.json');
+    await BlockRegistry.load('object.json');
+    
+    assert.strictEqual(BlockType.RED_BRICK, 100);
+    assert.strictEqual(BlockType.MARBLE, 101);
+});
+
+test('a missing block file is an error', async () => {
+    const { BlockRegistry } = loadRegistry();
+    await assert.rejects(BlockRegistry.load('missing.json'), /404/);
+});
+
+test('definitions from files are checked before they are used', () => {
+    const { BlockRegistry } = loadRegistry();
+    const invalid = [
+        null,
+        [],
+        { id: -1, name: 'Negative' },
+        { id: 100 },
+        { id: 100, name: 'Bad Color', color: 'red' },
+        { id: 100, name: 'Bad Key', key: 'lower' },
+        { id: 100, name: 'Bad Light', lightLevel: 20 },
+        { id: 100, name: 'Bad Face', faces: { top: { color: 'blue' } } },
+        { id: 100, name: 'Bad Box', shape: { boxes: [[0, 0, 0, 2, 1, 1]] } },
+        JSON.parse('{ "id": 100, "name": "Polluter", "__proto__": { "solid": false } }')
+    ];
+    invalid.forEach(definition => {
+        assert.throws(() => BlockRegistry.validate(definition), /Invalid block definition/, JSON.stringify(definition));
+    });
+    
+    BlockRegistry.validate(BRICK);
+    BlockRegistry.validate({ id: 102, name: 'Post', shape: { boxes: [[0.25, 0, 0.25, 0.75, 1, 0.75]] } });
+});
+
+test('a block file with one bad definition registers none of them', async () => {
+    const { BlockRegistry, BlockType } = loadRegistry({
+        'blocks.json': [BRICK, { id: 101, name: 'Broken', color: 'nope' }]
+    });
+    await assert.rejects(BlockRegistry.load('blocks.json'), /color of block 101/);
+    assert.ok(!BlockRegistry.has(100));
+    assert.strictEqual(BlockType.RED_BRICK, undefined);
+});
+
+test('shape names, rotation kinds and fluid settings must be known', () => {
+    const { BlockRegistry } = loadRegistry();
+    [
+        { id: 100, name: 'Wedge', shape: 'wedge' },
+        { id: 100, name: 'Inherited', shape: 'constructor' },
+        { id: 100, name: 'Spinner', rotation: 'spin' },
+        { id: 100, name: 'Oil', fluid: 'yes' },
+        { id: 100, name: 'Oil', fluid: { range: 8 } },
+        { id: 100, name: 'Oil', fluid: { delay: 0 } },
+        { id: 100, name: 'Oil', fluid: { range: 2.5 } }
+    ].forEach(definition => {
+        assert.throws(() => BlockRegistry.validate(definition), /Invalid block definition/, JSON.stringify(definition));
+    });
+    
+    BlockRegistry.validate({ id: 100, name: 'Half', shape: 'slab', rotation: 'slab' });
+    BlockRegistry.validate({ id: 101, name: 'Oil', fluid: { range: 4, delay: 20 } });
+});
+
+test('registering a list adds all of it or, when one fails, none of it', () => {
+    const { BlockRegistry, BlockType, PlaceableBlocks } = loadRegistry();
+    const placeable = PlaceableBlocks.length;
+    assert.throws(() => BlockRegistry.registerAll([BRICK, { id: 101, name: 'Wedge', shape: 'wedge' }]), /Unknown block shape/);
+    
+    assert.ok(!BlockRegistry.has(100));
+    assert.strictEqual(BlockType.RED_BRICK, undefined);
+    assert.strictEqual(PlaceableBlocks.length, placeable);
+    assert.strictEqual(BlockRegistry.changes.length, 0);
+    
+    BlockRegistry.registerAll([BRICK, { id: 101, name: 'Half Brick', shape: 'slab' }]);
+    assert.ok(BlockRegistry.has(100) && BlockRegistry.has(101));
+});
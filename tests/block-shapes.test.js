@@ -0,0 +1,129 @@
+/**
+ * VoxelCraft Optimized - Block Shape Tests
+ * Slab, stair, plant and torch shapes of BlockRegistry: orientation, face cover and collision
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { BlockRegistry, BlockType } = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/block.js'
+]);
+
+const UP = { x: 0, y: 1, z: 0 };
+const DOWN = { x: 0, y: -1, z: 0 };
+const EAST = { x: 1, y: 0, z: 0 };
+const LOOKING_NORTH = { x: 0, y: 0, z: -1 };
+const LOOKING_EAST = { x: 1, y: 0, z: 0 };
+
+// Boxes as plain arrays, so they compare across contexts
+const boxesOf = (id, state) => JSON.parse(JSON.stringify(BlockRegistry.getShape(id, state).boxes));
+
+const volume = boxes => boxes.reduce((sum, box) =>
+    sum + (box[3] - box[0]) * (box[4] - box[1]) * (box[5] - box[2]), 0);
+
+test('full cubes have no shape and collide as a whole cell', () => {
+    assert.strictEqual(BlockRegistry.getShape(BlockType.STONE), null);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(BlockRegistry.getCollisionBoxes(BlockType.STONE))), [[0, 0, 0, 1, 1, 1]]);
+    assert.ok(BlockRegistry.coversFace(BlockType.STONE, 0, 'top'));
+    assert.ok(BlockRegistry.isOpaque(BlockType.STONE));
+});
+
+test('a slab sits in the half of the cell it was placed against', () => {
+    const bottom = BlockRegistry.getPlacementState(BlockType.STONE_SLAB, UP, LOOKING_NORTH);
+    assert.deepStrictEqual(boxesOf(BlockType.STONE_SLAB, bottom), [[0, 0, 0, 1, 0.5, 1]]);
+    
+    const top = BlockRegistry.getPlacementState(BlockType.STONE_SLAB, DOWN, LOOKING_NORTH);
+    assert.deepStrictEqual(boxesOf(BlockType.STONE_SLAB, top), [[0, 0.5, 0, 1, 1, 1]]);
+    
+    // Against the side of a block, the half of the face that was clicked
+    const upper = BlockRegistry.getPlacementState(BlockType.STONE_SLAB, EAST, LOOKING_NORTH, { x: 3, y: 7.8, z: 2 });
+    assert.deepStrictEqual(boxesOf(BlockType.STONE_SLAB, upper), [[0, 0.5, 0, 1, 1, 1]]);
+});
+
+test('a slab covers one whole face and half of each side', () => {
+    const state = BlockRegistry.getPlacementState(BlockType.STONE_SLAB, UP, LOOKING_NORTH);
+    
+    assert.ok(BlockRegistry.coversFace(BlockType.STONE_SLAB, state, 'bottom'));
+    assert.ok(!BlockRegistry.coversFace(BlockType.STONE_SLAB, state, 'top'));
+    assert.ok(!BlockRegistry.coversFace(BlockType.STONE_SLAB, state, 'left'));
+    
+    // Side faces run [y, z] on the x axis and [x, y] on the z axis
+    assert.ok(BlockRegistry.coversFace(BlockType.STONE_SLAB, state, 'left', [0, 0, 0.5, 1]));
+    assert.ok(!BlockRegistry.coversFace(BlockType.STONE_SLAB, state, 'left', [0.5, 0, 1, 1]));
+    assert.ok(BlockRegistry.coversFace(BlockType.STONE_SLAB, state, 'front', [0, 0, 1, 0.5]));
+    assert.ok(!BlockRegistry.isOpaque(BlockType.STONE_SLAB));
+});
+
+test('stairs climb away from the player who placed them', () => {
+    const state = BlockRegistry.getPlacementState(BlockType.STONE_STAIRS, UP, LOOKING_EAST);
+    const boxes = boxesOf(BlockType.STONE_STAIRS, state);
+    assert.strictEqual(volume(boxes), 0.75);
+    
+    // Full back face far from the player, half height on the near side
+    assert.ok(BlockRegistry.coversFace(BlockType.STONE_STAIRS, state, 'right'));
+    assert.ok(!BlockRegistry.coversFace(BlockType.STONE_STAIRS, state, 'left'));
+    assert.ok(BlockRegistry.coversFace(BlockType.STONE_STAIRS, state, 'left', [0, 0, 0.5, 1]));
+    assert.ok(BlockRegistry.coversFace(BlockType.STONE_STAIRS, state, 'bottom'));
+    assert.ok(!BlockRegistry.coversFace(BlockType.STONE_STAIRS, state, 'top'));
+});
+
+test('upside-down stairs keep the same climb direction', () => {
+    const upright = BlockRegistry.getPlacementState(BlockType.STONE_STAIRS, UP, LOOKING_EAST);
+    const flipped = BlockRegistry.getPlacementState(BlockType.STONE_STAIRS, DOWN, LOOKING_EAST);
+    
+    assert.ok(BlockRegistry.coversFace(BlockType.STONE_STAIRS, flipped, 'top'));
+    assert.ok(!BlockRegistry.coversFace(BlockType.STONE_STAIRS, flipped, 'bottom'));
+    assert.strictEqual(
+        BlockRegistry.coversFace(BlockType.STONE_STAIRS, flipped, 'right'),
+        BlockRegistry.coversFace(BlockType.STONE_STAIRS, upright, 'right')
+    );
+});
+
+test('every orientation keeps a shape inside its cell and its volume', () => {
+    for (let state = 0; state < 16; state++) {
+        const boxes = boxesOf(BlockType.STONE_STAIRS, state);
+        assert.strictEqual(volume(boxes), 0.75, `state ${state}`);
+        boxes.forEach(box => box.forEach(value => assert.ok(value >= 0 && value <= 1, `state ${state}`)));
+    }
+});
+
+test('shape faces inside a shape are left out', () => {
+    const state = BlockRegistry.getPlacementState(BlockType.STONE_STAIRS, UP, LOOKING_EAST);
+    const faces = BlockRegistry.getShape(BlockType.STONE_STAIRS, state).faces;
+    
+    // Two boxes of six faces, less the upper step's bottom resting on the lower step
+    assert.strictEqual(faces.length, 11);
+    assert.strictEqual(faces.filter(face => face.face === 'top').length, 2);
+    assert.strictEqual(faces.filter(face => face.face === 'bottom').length, 1);
+});
+
+test('plants are drawn crossed and collide with nothing', () => {
+    [BlockType.TALL_GRASS, BlockType.FLOWER].forEach(id => {
+        assert.ok(BlockRegistry.isCross(id));
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(BlockRegistry.getCollisionBoxes(id))), []);
+        assert.ok(!BlockRegistry.coversFace(id, 0, 'bottom'));
+        assert.ok(BlockRegistry.isReplaceable(id));
+    });
+});
+
+test('a torch is a thin post that hides nothing and collides with nothing', () => {
+    assert.deepStrictEqual(boxesOf(BlockType.TORCH, 0), [[0.4375, 0, 0.4375, 0.5625, 0.625, 0.5625]]);
+    assert.strictEqual(BlockRegistry.getShape(BlockType.TORCH, 0).faces.length, 6);
+    assert.ok(!BlockRegistry.coversFace(BlockType.TORCH, 0, 'bottom'));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(BlockRegistry.getCollisionBoxes(BlockType.TORCH))), []);
+});
+
+test('slabs and stairs collide with their own boxes', () => {
+    const state = BlockRegistry.getPlacementState(BlockType.STONE_STAIRS, UP, LOOKING_EAST);
+    assert.deepStrictEqual(
+        JSON.parse(JSON.stringify(BlockRegistry.getCollisionBoxes(BlockType.STONE_STAIRS, state))),
+        boxesOf(BlockType.STONE_STAIRS, state)
+    );
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(BlockRegistry.getCollisionBoxes(BlockType.WATER))), []);
+});
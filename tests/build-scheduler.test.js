@@ -0,0 +1,83 @@
+/**
+ * VoxelCraft Optimized - Build Scheduler Tests
+ * Ordering, dropping and time budgets of the chunk BuildScheduler
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { OptimizationUtils } = loadScripts(['js/engine/optimization.js']);
+const { BuildScheduler } = OptimizationUtils;
+
+// Run everything queued, returning the items in the order they were built
+function runAll(scheduler) {
+    const built = [];
+    scheduler.run(item => {
+        built.push(item);
+    });
+    return built;
+}
+
+test('items are built lowest priority first', () => {
+    const scheduler = new BuildScheduler(Infinity);
+    ['far', 'near', 'middle'].forEach(item => scheduler.add(item));
+    const distance = { near: 1, middle: 5, far: 9 };
+    
+    scheduler.prioritize(item => distance[item]);
+    assert.deepStrictEqual(runAll(scheduler), ['near', 'middle', 'far']);
+    assert.strictEqual(scheduler.size, 0);
+});
+
+test('an item is queued once however often it is added', () => {
+    const scheduler = new BuildScheduler(Infinity);
+    scheduler.add('chunk');
+    scheduler.add('chunk');
+    assert.strictEqual(scheduler.size, 1);
+    assert.deepStrictEqual(runAll(scheduler), ['chunk']);
+});
+
+test('items that fall out of range are dropped', () => {
+    const scheduler = new BuildScheduler(Infinity);
+    [1, 2, 3, 4].forEach(item => scheduler.add(item));
+    
+    scheduler.prioritize(item => item, item => item % 2 === 0);
+    assert.strictEqual(scheduler.size, 2);
+    assert.ok(!scheduler.has(1));
+    assert.deepStrictEqual(runAll(scheduler), [2, 4]);
+});
+
+test('a run stops when its budget is spent, but always builds one item', () => {
+    const scheduler = new BuildScheduler(0);
+    ['a', 'b', 'c'].forEach(item => scheduler.add(item));
+    
+    assert.strictEqual(scheduler.run(() => {}), 1);
+    assert.strictEqual(scheduler.size, 2);
+    assert.strictEqual(scheduler.lastBuildCount, 1);
+    
+    scheduler.budget = Infinity;
+    assert.deepStrictEqual(runAll(scheduler), ['b', 'c']);
+});
+
+test('items that cannot be built yet stay queued in their place', () => {
+    const scheduler = new BuildScheduler(Infinity);
+    ['waiting', 'ready'].forEach(item => scheduler.add(item));
+    
+    const built = [];
+    scheduler.run(item => {
+        if (item === 'waiting') return false;
+        built.push(item);
+        scheduler.add('new');
+    });
+    assert.deepStrictEqual(built, ['ready']);
+    assert.deepStrictEqual(runAll(scheduler), ['waiting', 'new']);
+});
+
+test('removed items are not built', () => {
+    const scheduler = new BuildScheduler(Infinity);
+    ['a', 'b', 'c'].forEach(item => scheduler.add(item));
+    scheduler.remove('b');
+    assert.deepStrictEqual(runAll(scheduler), ['a', 'c']);
+});
@@ -0,0 +1,132 @@
+/**
+ * VoxelCraft Optimized - Collision Tests
+ * The player's box moving through blocks with World.moveBox
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createWorld } = require('./load-scripts');
+
+const game = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/block.js',
+    'js/world/biome.js',
+    'js/world/lighting.js',
+    'js/world/terrain.js'
+]);
+const { BlockRegistry, BlockType } = game;
+
+const WIDTH = 0.6;
+const HEIGHT = 1.8;
+const STEP = 0.6;
+
+// A world with a stone floor below y = 10 and the given blocks, loaded for x < 20
+function createFloorWorld(blocks = {}) {
+    const world = createWorld(game, {
+        terrain: (x, y) => (y < 10 ? BlockType.STONE : BlockType.AIR),
+        isLoaded: x => x < 20,
+        minHeight: -32,
+        maxHeight: 96
+    });
+    Object.entries(blocks).forEach(([position, block]) => world.fill(...position.split(',').map(Number), ...block));
+    return world;
+}
+
+const vector = (x, y, z) => ({
+    x, y, z,
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+});
+
+// Walk with a velocity for some time under gravity, a frame at a time
+function walk(world, position, velocity, seconds) {
+    let onGround = false;
+    for (let time = 0; time < seconds; time += 1 / 60) {
+        velocity.y -= 25 / 60;
+        const motion = vector(velocity.x / 60, velocity.y / 60, velocity.z / 60);
+        const fall = motion.y;
+        onGround = world.moveBox(position, motion, WIDTH, HEIGHT, STEP);
+        if (motion.y !== fall) velocity.y = 0;
+    }
+    return onGround;
+}
+
+test('a falling box lands on the ground', () => {
+    const position = vector(0.5, 20, 0.5);
+    assert.ok(walk(createFloorWorld(), position, vector(0, 0, 0), 2));
+    assert.strictEqual(position.y, 10);
+});
+
+test('a move longer than a block does not pass through the ground', () => {
+    const position = vector(0.5, 20, 0.5);
+    const motion = vector(0, -50, 0);
+    assert.ok(createFloorWorld().moveBox(position, motion, WIDTH, HEIGHT, STEP));
+    assert.strictEqual(position.y, 10);
+    assert.strictEqual(motion.y, -10);
+});
+
+test('a full block is a wall', () => {
+    const world = createFloorWorld({ '3,10,0': [BlockType.STONE] });
+    const position = vector(0.5, 10, 0.5);
+    walk(world, position, vector(5, 0, 0), 1);
+    assert.ok(Math.abs(position.x - (3 - WIDTH / 2)) < 1e-9);
+    assert.strictEqual(position.y, 10);
+});
+
+test('a slab is climbed without jumping', () => {
+    const world = createFloorWorld({ '3,10,0': [BlockType.STONE_SLAB] });
+    const position = vector(0.5, 10, 0.5);
+    walk(world, position, vector(5, 0, 0), 0.55);
+    assert.ok(position.x > 3 && position.x < 4);
+    assert.strictEqual(position.y, 10.5);
+});
+
+test('stairs are climbed a step at a time', () => {
+    const stairs = BlockRegistry.getPlacementState(BlockType.STONE_STAIRS, { x: 0, y: 1, z: 0 }, { x: 1, y: 0, z: 0 });
+    const world = createFloorWorld({
+        '3,10,0': [BlockType.STONE_STAIRS, stairs],
+        '4,10,0': [BlockType.STONE],
+        '4,11,0': [BlockType.STONE_STAIRS, stairs],
+        '5,10,0': [BlockType.STONE],
+        '5,11,0': [BlockType.STONE]
+    });
+    const position = vector(0.5, 10, 0.5);
+    walk(world, position, vector(5, 0, 0), 1);
+    assert.strictEqual(position.y, 12);
+});
+
+test('a ceiling stops a jump', () => {
+    const world = createFloorWorld({ '0,12,0': [BlockType.STONE] });
+    const position = vector(0.5, 10, 0.5);
+    const motion = vector(0, 1, 0);
+    assert.ok(!world.moveBox(position, motion, WIDTH, HEIGHT, STEP));
+    assert.ok(Math.abs(position.y - (12 - HEIGHT)) < 1e-9);
+});
+
+test('blocks that are not loaded yet are walls', () => {
+    const position = vector(18.5, 10, 0.5);
+    walk(createFloorWorld(), position, vector(5, 0, 0), 1);
+    assert.ok(Math.abs(position.x - (20 - WIDTH / 2)) < 1e-9);
+});
+
+test('plants and water are walked through', () => {
+    const world = createFloorWorld({
+        '2,10,0': [BlockType.FLOWER],
+        '3,10,0': [BlockType.WATER]
+    });
+    const position = vector(0.5, 10, 0.5);
+    walk(world, position, vector(5, 0, 0), 1);
+    assert.ok(position.x > 5);
+});
+
+test('the ground height is the top of the highest block in a column', () => {
+    const world = createFloorWorld({ '0,10,0': [BlockType.STONE_SLAB], '0,11,0': [BlockType.FLOWER] });
+    assert.strictEqual(world.getGroundHeight(0.5, 0.5), 10.5);
+    assert.strictEqual(world.getGroundHeight(1.5, 0.5), 10);
+});
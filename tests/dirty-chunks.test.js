@@ -0,0 +1,101 @@
+/**
+ * VoxelCraft Optimized - Dirty Chunk Tests
+ * Which chunks a block edit marks for rebuilding, and rebuilding them once per frame
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createChunk, createChunkManager } = require('./load-scripts');
+
+const game = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/optimization.js',
+    'js/engine/chunk.js',
+    'js/world/block.js',
+    'js/world/biome.js',
+    'js/world/lighting.js',
+    'js/world/terrain.js'
+]);
+
+const SIZE = 8;
+
+// The 27 chunks around and including chunk 0, 0, 0
+function createManager() {
+    const chunks = [];
+    for (let x = -1; x <= 1; x++) {
+        for (let y = -1; y <= 1; y++) {
+            for (let z = -1; z <= 1; z++) {
+                chunks.push(createChunk(game, x, y, z, SIZE));
+            }
+        }
+    }
+    return createChunkManager(game, chunks);
+}
+
+const ids = chunks => [...chunks].map(chunk => chunk.id).sort();
+
+test('an edit inside a chunk marks only that chunk', () => {
+    const manager = createManager();
+    manager.markVoxelDirty(manager.chunks.get('0_0_0'), 3, 4, 5);
+    assert.deepStrictEqual(ids(manager.dirtyChunks), ['0_0_0']);
+});
+
+test('an edit on a face marks the neighbor across that face only', () => {
+    const manager = createManager();
+    manager.markVoxelDirty(manager.chunks.get('0_0_0'), SIZE - 1, 4, 5);
+    assert.deepStrictEqual(ids(manager.dirtyChunks), ['0_0_0', '1_0_0']);
+    
+    const other = createManager();
+    other.markVoxelDirty(other.chunks.get('0_0_0'), 3, 0, 5);
+    assert.deepStrictEqual(ids(other.dirtyChunks), ['0_-1_0', '0_0_0']);
+});
+
+test('an edit on an edge or a corner marks the diagonal chunks too', () => {
+    const manager = createManager();
+    manager.markVoxelDirty(manager.chunks.get('0_0_0'), 0, SIZE - 1, 4);
+    assert.deepStrictEqual(ids(manager.dirtyChunks), ['-1_0_0', '-1_1_0', '0_0_0', '0_1_0']);
+    
+    const corner = createManager();
+    corner.markVoxelDirty(corner.chunks.get('0_0_0'), 0, 0, 0);
+    assert.strictEqual(corner.dirtyChunks.size, 8);
+});
+
+test('neighbors that have not been generated are left alone', () => {
+    const manager = createManager();
+    manager.chunks.get('1_0_0').isGenerated = false;
+    manager.markVoxelDirty(manager.chunks.get('0_0_0'), SIZE - 1, 4, 5);
+    assert.deepStrictEqual(ids(manager.dirtyChunks), ['0_0_0']);
+});
+
+test('a flush rebuilds every dirty chunk once, however many edits it had', () => {
+    const manager = createManager();
+    const chunk = manager.chunks.get('0_0_0');
+    for (let x = 0; x < SIZE; x++) {
+        manager.markVoxelDirty(chunk, x, 4, 4);
+    }
+    assert.strictEqual(manager.rebuilt.length, 0);
+    
+    manager.flushDirtyChunks();
+    assert.deepStrictEqual(ids(manager.rebuilt), ['-1_0_0', '0_0_0', '1_0_0']);
+    assert.strictEqual(manager.dirtyChunks.size, 0);
+    
+    manager.flushDirtyChunks();
+    assert.strictEqual(manager.rebuilt.length, 3);
+});
+
+test('edits the world\'s systems make in a frame are rebuilt by the end of it', () => {
+    const manager = createManager();
+    const chunk = manager.chunks.get('0_0_0');
+    manager.update = () => {};
+    
+    // Fluids, falling blocks and random ticks all run after the chunks update
+    const world = Object.create(game.World.prototype);
+    const edit = x => ({ update: () => manager.markVoxelDirty(chunk, x, 4, 4) });
+    Object.assign(world, { chunkManager: manager, fluids: edit(3), fallingBlocks: edit(4), randomTicks: edit(SIZE - 1) });
+    
+    world.update({ x: 0, y: 0, z: 0 }, 1 / 60);
+    assert.deepStrictEqual(ids(manager.rebuilt), ['0_0_0', '1_0_0']);
+    assert.strictEqual(manager.dirtyChunks.size, 0);
+});
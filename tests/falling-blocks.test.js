@@ -0,0 +1,133 @@
+/**
+ * VoxelCraft Optimized - Falling Block Tests
+ * Sand dropping through FallingBlocks and landing as a voxel again
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createWorld } = require('./load-scripts');
+
+const game = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/block.js',
+    'js/world/lighting.js',
+    'js/world/falling-blocks.js',
+    'js/world/terrain.js'
+]);
+const { FallingBlocks, BlockType } = game;
+
+// A world with a stone floor below y = 0, with createWorld's other options
+function createSandWorld(options = {}) {
+    const world = createWorld(game, Object.assign({
+        terrain: (x, y) => (y < 0 ? BlockType.STONE : BlockType.AIR)
+    }, options));
+    world.fallingBlocks = new FallingBlocks(world);
+    return world;
+}
+
+function run(world, seconds) {
+    for (let time = 0; time < seconds; time += 1 / 60) {
+        world.fallingBlocks.update(1 / 60);
+    }
+}
+
+// Blocks of a column from the floor up: 'S' for sand, 'X' for stone, '.' for anything else
+function column(world, x, z, height) {
+    let text = '';
+    for (let y = 0; y < height; y++) {
+        const block = world.getBlockAt(x, y, z);
+        text += block === BlockType.SAND ? 'S' : (block === BlockType.STONE ? 'X' : '.');
+    }
+    return text;
+}
+
+test('sand in the air falls and lands on the ground', () => {
+    const world = createSandWorld();
+    world.setBlockAt(0, 10, 0, BlockType.SAND);
+    run(world, 0.1);
+    assert.strictEqual(world.fallingBlocks.blocks.length, 1);
+    assert.strictEqual(world.getBlockAt(0, 10, 0), BlockType.AIR);
+    
+    run(world, 2);
+    assert.strictEqual(column(world, 0, 0, 12), 'S...........');
+    assert.strictEqual(world.fallingBlocks.blocks.length, 0);
+});
+
+test('sand stays up while something holds it', () => {
+    const world = createSandWorld();
+    world.fill(0, 4, 0, BlockType.STONE);
+    world.setBlockAt(0, 5, 0, BlockType.SAND);
+    run(world, 1);
+    assert.strictEqual(column(world, 0, 0, 7), '....XS.');
+    assert.strictEqual(world.fallingBlocks.blocks.length, 0);
+});
+
+test('taking out what holds a column of sand brings it all down', () => {
+    const world = createSandWorld();
+    world.fill(0, 3, 0, BlockType.STONE);
+    for (let y = 4; y < 8; y++) {
+        world.fill(0, y, 0, BlockType.SAND);
+    }
+    
+    world.setBlockAt(0, 3, 0, BlockType.AIR);
+    run(world, 3);
+    assert.strictEqual(column(world, 0, 0, 9), 'SSSS.....');
+});
+
+test('sand falls through plants and water, and replaces them', () => {
+    const world = createSandWorld();
+    world.fill(0, 0, 0, BlockType.WATER);
+    world.fill(0, 1, 0, BlockType.FLOWER);
+    world.setBlockAt(0, 6, 0, BlockType.SAND);
+    run(world, 2);
+    assert.strictEqual(column(world, 0, 0, 7), 'S......');
+});
+
+test('a falling block keeps its state', () => {
+    const world = createSandWorld();
+    world.setBlockAt(0, 6, 0, BlockType.SAND, 5);
+    run(world, 2);
+    assert.strictEqual(world.getStateAt(0, 0, 0), 5);
+});
+
+test('sand waits above blocks that are not loaded yet', () => {
+    let loadedFrom = 4;
+    const world = createSandWorld({ isLoaded: (x, y) => y >= loadedFrom });
+    world.setBlockAt(0, 8, 0, BlockType.SAND);
+    run(world, 2);
+    assert.strictEqual(world.fallingBlocks.blocks.length, 1);
+    assert.strictEqual(world.fallingBlocks.blocks[0].y, 4);
+    
+    loadedFrom = -16;
+    run(world, 2);
+    assert.strictEqual(column(world, 0, 0, 9), 'S........');
+});
+
+test('sand whose column filled up while it fell lands on top, higher than it started', () => {
+    const world = createSandWorld();
+    world.setBlockAt(0, 10, 0, BlockType.SAND);
+    run(world, 0.1);
+    for (let y = 0; y < 12; y++) {
+        world.fill(0, y, 0, BlockType.STONE);
+    }
+    
+    run(world, 1);
+    assert.strictEqual(column(world, 0, 0, 14), 'XXXXXXXXXXXXS.');
+    assert.strictEqual(world.fallingBlocks.blocks.length, 0);
+});
+
+test('sand with no room left below the build limit is dropped', () => {
+    const world = createSandWorld({ maxHeight: 12 });
+    world.setBlockAt(0, 10, 0, BlockType.SAND);
+    run(world, 0.1);
+    for (let y = 0; y < 12; y++) {
+        world.fill(0, y, 0, BlockType.STONE);
+    }
+    
+    run(world, 1);
+    assert.strictEqual(column(world, 0, 0, 12), 'XXXXXXXXXXXX');
+    assert.strictEqual(world.fallingBlocks.blocks.length, 0);
+});
@@ -0,0 +1,155 @@
+/**
+ * VoxelCraft Optimized - Fluid Tests
+ * Water flowing, falling and drying up in FluidSimulator
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createWorld } = require('./load-scripts');
+
+const game = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/block.js',
+    'js/world/biome.js',
+    'js/world/lighting.js',
+    'js/world/fluids.js',
+    'js/world/terrain.js'
+]);
+const { FluidSimulator, BlockRegistry, BlockType } = game;
+
+// A world for water to flow in, loaded where `isLoaded` says so
+function createFluidWorld(isLoaded) {
+    const world = createWorld(game, { isLoaded });
+    world.fluids = new FluidSimulator(world);
+    return world;
+}
+
+function floor(world, y, from, to) {
+    for (let x = from; x <= to; x++) {
+        for (let z = from; z <= to; z++) {
+            world.fill(x, y, z, BlockType.STONE);
+        }
+    }
+}
+
+function run(world, seconds) {
+    for (let time = 0; time < seconds; time += 1 / 60) {
+        world.fluids.update(1 / 60);
+    }
+}
+
+// Flow level along +x from a position: '0' for a source, 'F' falling, '.' no water
+function row(world, x, y, z, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        if (world.getBlockAt(x + i, y, z) !== BlockType.WATER) {
+            text += '.';
+        } else {
+            const state = world.getStateAt(x + i, y, z);
+            text += BlockRegistry.isFallingFluid(state) ? 'F' : String(BlockRegistry.getFluidLevel(state));
+        }
+    }
+    return text;
+}
+
+test('a source spreads one level weaker per block up to its range', () => {
+    const world = createFluidWorld();
+    floor(world, 0, -20, 20);
+    world.setBlockAt(0, 1, 0, BlockType.WATER);
+    run(world, 10);
+    
+    assert.strictEqual(row(world, 0, 1, 0, 10), '01234567..');
+    assert.strictEqual(row(world, -9, 1, 0, 10), '..76543210');
+    assert.strictEqual(world.fluids.scheduled.size, 0);
+});
+
+test('water falls before it spreads and lands full', () => {
+    const world = createFluidWorld();
+    floor(world, 0, -20, 20);
+    floor(world, 5, -1, 1);
+    world.setBlockAt(0, 6, 0, BlockType.WATER);
+    run(world, 10);
+    
+    // Over the edge of the ledge it falls down to the floor, then spreads again
+    assert.strictEqual(row(world, 0, 6, 0, 3), '012');
+    assert.strictEqual(row(world, 2, 5, 0, 1), 'F');
+    assert.strictEqual(row(world, 2, 1, 0, 1), 'F');
+    assert.strictEqual(row(world, 2, 1, 0, 5), 'F1234');
+});
+
+test('flowing water heads for the nearest way down', () => {
+    const world = createFluidWorld();
+    floor(world, 0, -20, 20);
+    floor(world, 1, -20, 20);
+    world.fill(3, 1, 0, BlockType.AIR);
+    world.setBlockAt(0, 2, 0, BlockType.WATER);
+    run(world, 10);
+    
+    // Straight towards the hole three blocks away, not out to every side
+    assert.strictEqual(row(world, 0, 2, 0, 3), '012');
+    assert.strictEqual(row(world, -2, 2, 0, 2), '..');
+    assert.strictEqual(row(world, 3, 1, 0, 1), 'F');
+});
+
+test('water without a source dries up', () => {
+    const world = createFluidWorld();
+    floor(world, 0, -20, 20);
+    world.setBlockAt(0, 1, 0, BlockType.WATER);
+    run(world, 10);
+    
+    world.setBlockAt(0, 1, 0, BlockType.AIR);
+    run(world, 15);
+    assert.strictEqual(row(world, -8, 1, 0, 17), '.'.repeat(17));
+    assert.strictEqual(world.fluids.scheduled.size, 0);
+});
+
+test('water between two sources over solid ground becomes a source', () => {
+    const world = createFluidWorld();
+    floor(world, 0, -20, 20);
+    world.setBlockAt(-1, 1, 0, BlockType.WATER);
+    world.setBlockAt(1, 1, 0, BlockType.WATER);
+    run(world, 5);
+    
+    assert.strictEqual(row(world, -1, 1, 0, 3), '000');
+});
+
+test('generated water stays still until something next to it changes', () => {
+    const world = createFluidWorld();
+    floor(world, 0, -20, 20);
+    world.fill(0, 1, 0, BlockType.WATER);
+    run(world, 5);
+    assert.strictEqual(row(world, 0, 1, 0, 3), '0..');
+    
+    world.setBlockAt(0, 2, 0, BlockType.AIR);
+    run(world, 5);
+    assert.strictEqual(row(world, 0, 1, 0, 3), '012');
+});
+
+test('blocks that are not loaded stop the flow', () => {
+    const world = createFluidWorld(x => x < 3);
+    floor(world, 0, -20, 20);
+    world.setBlockAt(0, 1, 0, BlockType.WATER);
+    run(world, 10);
+    
+    assert.strictEqual(row(world, 0, 1, 0, 6), '012...');
+});
+
+test('water next to blocks that are not loaded waits for them', () => {
+    let edge = 3;
+    const world = createFluidWorld(x => x < edge);
+    floor(world, 0, -20, 20);
+    
+    // Fed from a source beyond the edge, so it must not dry up in the meantime
+    world.fill(3, 1, 0, BlockType.WATER, 0);
+    world.fill(2, 1, 0, BlockType.WATER, 1);
+    world.fluids.blockChanged(2, 1, 0);
+    run(world, 5);
+    assert.strictEqual(row(world, 0, 1, 0, 3), '..1');
+    
+    edge = 20;
+    run(world, 10);
+    assert.strictEqual(row(world, 0, 1, 0, 4), '3210');
+});
@@ -0,0 +1,142 @@
+/**
+ * VoxelCraft Optimized - Lighting Tests
+ * Skylight and block light spreading and being taken back by LightEngine
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createChunk } = require('./load-scripts');
+
+const game = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/block.js',
+    'js/world/lighting.js'
+]);
+const { BlockType, LightEngine } = game;
+
+const SIZE = 8;
+
+function link(a, b, face) {
+    const opposite = LightEngine.FACES[LightEngine.FACES.indexOf(face) ^ 1];
+    a.neighbors[face] = b;
+    b.neighbors[opposite] = a;
+}
+
+const indexOf = (x, y, z) => x + y * SIZE + z * SIZE * SIZE;
+const level = (chunk, x, y, z, channel) => LightEngine.getLevel(chunk.light[indexOf(x, y, z)], channel);
+
+// Change a block the way World.setBlockAt does, then relight around it
+function setBlock(engine, chunk, x, y, z, type) {
+    chunk.setVoxel(x, y, z, type);
+    return engine.updateBlock(chunk, x, y, z);
+}
+
+test('skylight falls straight down undimmed and fades sideways under a roof', () => {
+    const engine = new LightEngine({ maxChunkY: 0 });
+    const chunk = createChunk(game, 0, 0, 0, SIZE);
+    for (let x = 0; x < SIZE; x++) {
+        for (let z = 0; z < SIZE; z++) {
+            if (x !== 0 || z !== 0) chunk.setVoxel(x, 5, z, BlockType.STONE);
+        }
+    }
+    engine.initChunk(chunk);
+    
+    assert.strictEqual(level(chunk, 3, 7, 3, LightEngine.SKY), 15);
+    assert.strictEqual(level(chunk, 3, 5, 3, LightEngine.SKY), 0);
+    assert.strictEqual(level(chunk, 0, 0, 0, LightEngine.SKY), 15);
+    assert.strictEqual(level(chunk, 1, 0, 0, LightEngine.SKY), 14);
+    assert.strictEqual(level(chunk, 3, 4, 2, LightEngine.SKY), 10);
+});
+
+test('a torch lights each color channel one level less per step', () => {
+    const engine = new LightEngine({ maxChunkY: 1 });
+    const chunk = createChunk(game, 0, 0, 0, SIZE);
+    chunk.setVoxel(4, 4, 4, BlockType.TORCH);
+    engine.initChunk(chunk);
+    
+    assert.strictEqual(level(chunk, 4, 4, 4, LightEngine.RED), 14);
+    assert.strictEqual(level(chunk, 4, 4, 4, LightEngine.GREEN), 9);
+    assert.strictEqual(level(chunk, 6, 5, 4, LightEngine.RED), 11);
+    assert.strictEqual(level(chunk, 6, 5, 4, LightEngine.GREEN), 6);
+    assert.strictEqual(level(chunk, 4, 4, 4, LightEngine.SKY), 0);
+});
+
+test('light crosses into a neighboring chunk, both ways', () => {
+    const engine = new LightEngine({ maxChunkY: 1 });
+    const left = createChunk(game, 0, 0, 0, SIZE);
+    const right = createChunk(game, 1, 0, 0, SIZE);
+    link(left, right, 'right');
+    
+    left.setVoxel(SIZE - 1, 2, 2, BlockType.GLOWSTONE);
+    engine.initChunk(left);
+    engine.initChunk(right);
+    assert.strictEqual(level(right, 0, 2, 2, LightEngine.RED), 14);
+    assert.strictEqual(level(right, 3, 2, 2, LightEngine.RED), 11);
+    
+    right.setVoxel(0, 6, 6, BlockType.GLOWSTONE);
+    right.light = null;
+    engine.initChunk(right);
+    assert.strictEqual(level(left, SIZE - 1, 6, 6, LightEngine.RED), 14);
+});
+
+test('removing a light source takes its light back', () => {
+    const engine = new LightEngine({ maxChunkY: 1 });
+    const chunk = createChunk(game, 0, 0, 0, SIZE);
+    chunk.setVoxel(4, 4, 4, BlockType.TORCH);
+    engine.initChunk(chunk);
+    
+    const changed = setBlock(engine, chunk, 4, 4, 4, BlockType.AIR);
+    assert.ok(changed.has(chunk));
+    assert.ok(chunk.light.every(light => light === 0));
+});
+
+test('taking back one light leaves the light of another source', () => {
+    const engine = new LightEngine({ maxChunkY: 1 });
+    const chunk = createChunk(game, 0, 0, 0, SIZE);
+    chunk.setVoxel(1, 4, 4, BlockType.GLOWSTONE);
+    chunk.setVoxel(6, 4, 4, BlockType.GLOWSTONE);
+    engine.initChunk(chunk);
+    assert.strictEqual(level(chunk, 4, 4, 4, LightEngine.RED), 13);
+    
+    setBlock(engine, chunk, 6, 4, 4, BlockType.AIR);
+    assert.strictEqual(level(chunk, 4, 4, 4, LightEngine.RED), 12);
+    assert.strictEqual(level(chunk, 6, 4, 4, LightEngine.RED), 10);
+    assert.strictEqual(level(chunk, 7, 4, 4, LightEngine.RED), 9);
+});
+
+test('closing and reopening a hole in a roof darkens and relights below it', () => {
+    const engine = new LightEngine({ maxChunkY: 0 });
+    const chunk = createChunk(game, 0, 0, 0, SIZE);
+    for (let x = 0; x < SIZE; x++) {
+        for (let z = 0; z < SIZE; z++) {
+            if (x !== 3 || z !== 3) chunk.setVoxel(x, 5, z, BlockType.STONE);
+        }
+    }
+    engine.initChunk(chunk);
+    const before = Array.from(chunk.light);
+    assert.strictEqual(level(chunk, 3, 0, 3, LightEngine.SKY), 15);
+    
+    setBlock(engine, chunk, 3, 5, 3, BlockType.STONE);
+    for (let y = 0; y <= 5; y++) {
+        assert.strictEqual(level(chunk, 3, y, 3, LightEngine.SKY), 0);
+    }
+    
+    setBlock(engine, chunk, 3, 5, 3, BlockType.AIR);
+    assert.deepStrictEqual(Array.from(chunk.light), before);
+});
+
+test('water and leaves cost an extra level', () => {
+    const engine = new LightEngine({ maxChunkY: 1 });
+    const chunk = createChunk(game, 0, 0, 0, SIZE);
+    chunk.setVoxel(2, 2, 2, BlockType.GLOWSTONE);
+    chunk.setVoxel(3, 2, 2, BlockType.WATER);
+    chunk.setVoxel(2, 3, 2, BlockType.LEAVES);
+    engine.initChunk(chunk);
+    
+    assert.strictEqual(level(chunk, 3, 2, 2, LightEngine.RED), 13);
+    assert.strictEqual(level(chunk, 2, 3, 2, LightEngine.RED), 13);
+    assert.strictEqual(level(chunk, 2, 2, 3, LightEngine.RED), 14);
+});
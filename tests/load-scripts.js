@@ -0,0 +1,102 @@
+/**
+ * VoxelCraft Optimized - Test Script Loader
+ * Runs the game's scripts headless, in Node, for the tests next to this file, and builds
+ * the chunks they run on
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Runs scripts, given from the project root, one after another in a fresh context, the
+// way index.html loads them in a page, and returns its globals. `globals` adds whatever
+// the scripts need from the browser beyond what Node has.
+function loadScripts(files, globals = {}) {
+    const context = { console, performance, structuredClone, ...globals };
+    context.window = context;
+    context.self = context;
+    vm.createContext(context);
+    
+    files.forEach(file => {
+        const code = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+    return context;
+}
+
+// A generated Chunk from loaded scripts, without the Three.js bounds and meshes its
+// constructor makes: its voxels, states, light and neighbor links, and Chunk's methods
+function createChunk(game, x, y, z, size = 16) {
+    const chunk = Object.create(game.Chunk.prototype);
+    return Object.assign(chunk, {
+        x, y, z, size,
+        id: `${x}_${y}_${z}`,
+        voxels: new game.VoxelStorage(size),
+        states: new game.VoxelStorage(size),
+        light: null,
+        neighbors: { left: null, right: null, top: null, bottom: null, front: null, back: null },
+        isEmpty: true,
+        isGenerated: true,
+        needsUpdate: false,
+        modified: false
+    });
+}
+
+// A ChunkManager over chunks from createChunk, without a scene or workers. Rebuilding a
+// chunk only lists it in `rebuilt`.
+function createChunkManager(game, chunks = []) {
+    const manager = Object.create(game.ChunkManager.prototype);
+    manager.chunks = new Map(chunks.map(chunk => [chunk.id, chunk]));
+    manager.dirtyChunks = new Set();
+    manager.loadedChunks = chunks;
+    manager.rebuilt = [];
+    manager.updateChunkMesh = chunk => {
+        chunk.needsUpdate = false;
+        manager.rebuilt.push(chunk);
+    };
+    return manager;
+}
+
+// A World from loaded scripts whose blocks sit in a map rather than in chunks, with
+// World's own methods on top. Options:
+//   terrain(x, y, z)  - the block wherever nothing was put, air by default
+//   isLoaded(x, y, z) - whether a block's chunk has loaded, always by default
+//   minHeight, maxHeight - the build limits, -16 and 64 by default
+// setBlockAt() tells the world's fluids and falling blocks, when it has them, like
+// World.setBlockAt; fill() puts a block in the way generation does, telling nobody.
+function createWorld(game, options = {}) {
+    const terrain = options.terrain || (() => game.BlockType.AIR);
+    const loaded = options.isLoaded || (() => true);
+    const blocks = new Map();
+    const cell = (x, y, z) => [Math.floor(x), Math.floor(y), Math.floor(z)];
+    
+    const world = Object.create(game.World.prototype);
+    world.minHeight = options.minHeight !== undefined ? options.minHeight : -16;
+    world.maxHeight = options.maxHeight !== undefined ? options.maxHeight : 64;
+    
+    world.isLoaded = (x, y, z) => world.isInBounds(y) && loaded(...cell(x, y, z));
+    world.getBlockAt = (x, y, z) => {
+        if (!world.isLoaded(x, y, z)) return game.BlockType.AIR;
+        const block = blocks.get(cell(x, y, z).join());
+        return block ? block[0] : terrain(...cell(x, y, z));
+    };
+    world.getStateAt = (x, y, z) => {
+        const block = world.isLoaded(x, y, z) && blocks.get(cell(x, y, z).join());
+        return block ? block[1] : 0;
+    };
+    world.fill = (x, y, z, type, state = 0) => {
+        blocks.set(cell(x, y, z).join(), [type, state]);
+    };
+    world.setBlockAt = (x, y, z, type, state = 0) => {
+        if (!world.isLoaded(x, y, z)) return false;
+        world.fill(x, y, z, type, state);
+        if (world.fluids) world.fluids.blockChanged(x, y, z);
+        if (world.fallingBlocks) world.fallingBlocks.blockChanged(x, y, z);
+        return true;
+    };
+    return world;
+}
+
+module.exports = { loadScripts, createChunk, createChunkManager, createWorld };
@@ -0,0 +1,93 @@
+/**
+ * VoxelCraft Optimized - Seed Tests
+ * World seeds: parsing numbers and text, and the seeded random generator
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { TerrainGenerator, SimplexNoise } = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/block.js',
+    'js/world/biome.js',
+    'js/world/lighting.js',
+    'js/world/terrain.js'
+]);
+
+test('whole numbers are used as they are, also typed as text', () => {
+    assert.strictEqual(TerrainGenerator.parseSeed(12345), 12345);
+    assert.strictEqual(TerrainGenerator.parseSeed('12345'), 12345);
+    assert.strictEqual(TerrainGenerator.parseSeed(' 42 '), 42);
+    assert.strictEqual(TerrainGenerator.parseSeed(0), 0);
+    assert.strictEqual(TerrainGenerator.parseSeed('4294967295'), 4294967295);
+});
+
+test('negative numbers wrap to 32 bits', () => {
+    assert.strictEqual(TerrainGenerator.parseSeed(-1), 4294967295);
+    assert.strictEqual(TerrainGenerator.parseSeed('-2'), 4294967294);
+});
+
+test('text is hashed the same way every time', () => {
+    const seed = TerrainGenerator.parseSeed('voxelcraft');
+    assert.strictEqual(seed, TerrainGenerator.parseSeed('voxelcraft'));
+    assert.notStrictEqual(seed, TerrainGenerator.parseSeed('Voxelcraft'));
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF);
+    
+    // FNV-1a of the empty text and of 'a'
+    assert.strictEqual(TerrainGenerator.parseSeed(''), 0x811C9DC5);
+    assert.strictEqual(TerrainGenerator.parseSeed('a'), 0xE40C292C);
+});
+
+test('numbers too big for 32 bits are hashed as text', () => {
+    const seed = TerrainGenerator.parseSeed('99999999999');
+    assert.notStrictEqual(seed, 99999999999 >>> 0);
+    assert.ok(seed >= 0 && seed <= 0xFFFFFFFF);
+});
+
+test('numbers that make the same world are shown and shared as one seed', () => {
+    assert.strictEqual(TerrainGenerator.normalizeSeed('-1'), '4294967295');
+    assert.strictEqual(TerrainGenerator.normalizeSeed('4294967295'), '4294967295');
+    assert.strictEqual(TerrainGenerator.normalizeSeed(' 007 '), '7');
+    assert.strictEqual(TerrainGenerator.normalizeSeed(-2), '4294967294');
+});
+
+test('text seeds, and numbers too big for 32 bits, are kept as typed', () => {
+    assert.strictEqual(TerrainGenerator.normalizeSeed(' My World '), 'My World');
+    assert.strictEqual(TerrainGenerator.normalizeSeed('99999999999'), '99999999999');
+    assert.strictEqual(TerrainGenerator.normalizeSeed('-0x10'), '-0x10');
+});
+
+test('the random generator repeats the same numbers for the same seed', () => {
+    const first = SimplexNoise.createRandom(7);
+    const second = SimplexNoise.createRandom(7);
+    const other = SimplexNoise.createRandom(8);
+    
+    const values = Array.from({ length: 100 }, () => first());
+    assert.deepStrictEqual(Array.from({ length: 100 }, () => second()), values);
+    assert.notDeepStrictEqual(Array.from({ length: 100 }, () => other()), values);
+    values.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('the random generator spreads its numbers evenly', () => {
+    const random = SimplexNoise.createRandom(123);
+    const buckets = new Array(10).fill(0);
+    for (let i = 0; i < 10000; i++) {
+        buckets[Math.floor(random() * 10)]++;
+    }
+    buckets.forEach(count => assert.ok(count > 900 && count < 1100, `bucket of ${count}`));
+});
+
+test('the same seed generates the same terrain, and another seed other terrain', () => {
+    const heights = seed => {
+        const generator = new TerrainGenerator(seed);
+        return Array.from({ length: 64 }, (_, i) => generator.getHeightAt(i * 37, i * 11));
+    };
+    
+    assert.deepStrictEqual(heights('island'), heights('island'));
+    assert.notDeepStrictEqual(heights('island'), heights('mesa'));
+    assert.strictEqual(new TerrainGenerator('12345').seed, new TerrainGenerator(12345).seed);
+});
@@ -0,0 +1,106 @@
+/**
+ * VoxelCraft Optimized - Chunk Storage Tests
+ * Saving and restoring chunk voxels and block states through ChunkStorage on a MemoryChunkStore
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createChunk } = require('./load-scripts');
+
+const game = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/storage.js'
+]);
+const { ChunkStorage, MemoryChunkStore } = game;
+
+// A chunk of 4 x 4 x 4 voxels with some set, as [index, block] pairs
+function chunkWith(blocks) {
+    const chunk = createChunk(game, 0, 0, 0, 4);
+    blocks.forEach(([index, block]) => chunk.voxels.set(index, block));
+    return chunk;
+}
+
+test('a saved chunk loads back with the same voxels', async () => {
+    const storage = new ChunkStorage(new MemoryChunkStore());
+    await storage.init();
+    
+    const chunk = createChunk(game, 1, 2, 3, 4);
+    [[0, 3], [5, 7], [63, 300]].forEach(([index, block]) => chunk.voxels.set(index, block));
+    await storage.save(chunk);
+    assert.ok(storage.has('1_2_3'));
+    
+    const loaded = await storage.load('1_2_3', 4);
+    for (let i = 0; i < 64; i++) {
+        assert.strictEqual(loaded.voxels.get(i), chunk.voxels.get(i));
+    }
+    assert.strictEqual(loaded.states, null);
+});
+
+test('a save keeps the voxels as they were when it was made', async () => {
+    const storage = new ChunkStorage(new MemoryChunkStore());
+    await storage.init();
+    
+    const chunk = chunkWith([[0, 1]]);
+    const saved = storage.save(chunk);
+    chunk.voxels.set(0, 2);
+    await saved;
+    assert.strictEqual((await storage.load('0_0_0', 4)).voxels.get(0), 1);
+});
+
+test('block states are saved only when some voxel has one', async () => {
+    const storage = new ChunkStorage(new MemoryChunkStore());
+    await storage.init();
+    
+    const chunk = chunkWith([[1, 6]]);
+    chunk.states.set(1, 2);
+    await storage.save(chunk);
+    const loaded = await storage.load('0_0_0', 4);
+    assert.strictEqual(loaded.states.get(1), 2);
+    assert.strictEqual(loaded.states.get(0), 0);
+});
+
+test('each world keeps its own saves in a shared store', async () => {
+    const store = new MemoryChunkStore();
+    const first = new ChunkStorage(store, 'world-1');
+    await first.init();
+    await first.save(chunkWith([[0, 1]]));
+    
+    const second = new ChunkStorage(store, 'world-2');
+    await second.init();
+    assert.ok(!second.has('0_0_0'));
+    assert.strictEqual(await second.load('0_0_0', 4), null);
+    
+    const reopened = new ChunkStorage(store, 'world-1');
+    await reopened.init();
+    assert.ok(reopened.has('0_0_0'));
+});
+
+test('a save for another chunk size is dropped', async () => {
+    const storage = new ChunkStorage(new MemoryChunkStore());
+    await storage.init();
+    await storage.save(chunkWith([[0, 1]]));
+    
+    assert.strictEqual(await storage.load('0_0_0', 8), null);
+    assert.ok(!storage.has('0_0_0'));
+});
+
+test('a failing store falls back to memory', async () => {
+    const broken = {
+        keys: async () => { throw new Error('blocked'); }
+    };
+    const storage = new ChunkStorage(broken);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        await storage.init();
+    } finally {
+        console.warn = warn;
+    }
+    
+    assert.ok(storage.store instanceof MemoryChunkStore);
+    await storage.save(chunkWith([[0, 1]]));
+    assert.strictEqual((await storage.load('0_0_0', 4)).voxels.get(0), 1);
+});
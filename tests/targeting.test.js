@@ -0,0 +1,108 @@
+/**
+ * VoxelCraft Optimized - Targeting Tests
+ * The cells World.getTargetCells finds for breaking and placing where the crosshair ray
+ * meets a block
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createWorld } = require('./load-scripts');
+
+const game = loadScripts([
+    'js/engine/voxel-storage.js',
+    'js/engine/chunk.js',
+    'js/world/block.js',
+    'js/world/biome.js',
+    'js/world/lighting.js',
+    'js/world/terrain.js'
+]);
+const { BlockRegistry, BlockType } = game;
+
+const UPSIDE_DOWN = BlockRegistry.orient(0, 2);
+
+// An empty world with the given blocks, as 'x,y,z': [type, state]
+function createTargetWorld(blocks) {
+    const world = createWorld(game);
+    Object.entries(blocks).forEach(([position, block]) => world.fill(...position.split(',').map(Number), ...block));
+    return world;
+}
+
+const vector = (x, y, z) => {
+    const length = Math.hypot(x, y, z);
+    return { x: x / length, y: y / length, z: z / length };
+};
+
+// The cells as 'x,y,z' text, or null for no place cell
+function target(world, point, direction, normal) {
+    const cells = world.getTargetCells(point, direction, normal);
+    const text = cell => (cell ? `${cell.x},${cell.y},${cell.z}` : null);
+    return { hit: text(cells.hit), place: text(cells.place) };
+}
+
+test('a full block\'s face is hit in the block and placed against in front of it', () => {
+    const world = createTargetWorld({ '3,5,3': [BlockType.STONE] });
+    
+    assert.deepStrictEqual(
+        target(world, { x: 3.5, y: 6, z: 3.2 }, vector(0.3, -1, 0.2), vector(0, 1, 0)),
+        { hit: '3,5,3', place: '3,6,3' }
+    );
+    assert.deepStrictEqual(
+        target(world, { x: 4, y: 5.5, z: 3.5 }, vector(-1, -0.2, 0), vector(1, 0, 0)),
+        { hit: '3,5,3', place: '4,5,3' }
+    );
+});
+
+test('the underside of an upside-down slab is in the slab\'s own cell', () => {
+    const world = createTargetWorld({ '0,5,0': [BlockType.STONE_SLAB, UPSIDE_DOWN] });
+    
+    assert.deepStrictEqual(
+        target(world, { x: 0.5, y: 5.5, z: 0.5 }, vector(0.1, 1, 0), vector(0, -1, 0)),
+        { hit: '0,5,0', place: '0,4,0' }
+    );
+});
+
+test('the top of a lower slab places above it', () => {
+    const world = createTargetWorld({ '0,5,0': [BlockType.STONE_SLAB] });
+    
+    assert.deepStrictEqual(
+        target(world, { x: 0.5, y: 5.5, z: 0.5 }, vector(0, -1, 0.4), vector(0, 1, 0)),
+        { hit: '0,5,0', place: '0,6,0' }
+    );
+});
+
+test('the inner face of a stair step places in front of the stair', () => {
+    const state = BlockRegistry.getPlacementState(BlockType.STONE_STAIRS, vector(0, 1, 0), vector(0, 0, 1));
+    const world = createTargetWorld({ '0,5,0': [BlockType.STONE_STAIRS, state] });
+    
+    assert.deepStrictEqual(
+        target(world, { x: 0.5, y: 5.75, z: 0.5 }, vector(0, -0.2, 1), vector(0, 0, -1)),
+        { hit: '0,5,0', place: '0,5,-1' }
+    );
+});
+
+test('a plant is hit on its diagonal quads, and replaced by a placed block', () => {
+    const world = createTargetWorld({
+        '2,4,2': [BlockType.STONE],
+        '2,5,2': [BlockType.TALL_GRASS]
+    });
+    
+    // Near a corner, where half a block along the diagonal normal leaves the cell
+    assert.deepStrictEqual(
+        target(world, { x: 2.9, y: 5.3, z: 2.9 }, vector(-1, -0.3, 1), vector(1, 0, -1)),
+        { hit: '2,5,2', place: '2,5,2' }
+    );
+});
+
+test('a block is placed into water, but not into another block', () => {
+    const world = createTargetWorld({
+        '0,5,0': [BlockType.STONE_SLAB],
+        '0,6,0': [BlockType.STONE],
+        '1,5,0': [BlockType.STONE],
+        '1,6,0': [BlockType.WATER]
+    });
+    
+    assert.strictEqual(target(world, { x: 0.5, y: 5.5, z: 0.5 }, vector(0, -1, 0), vector(0, 1, 0)).place, null);
+    assert.strictEqual(target(world, { x: 1.5, y: 6, z: 0.5 }, vector(0, -1, 0), vector(0, 1, 0)).place, '1,6,0');
+});
@@ -0,0 +1,86 @@
+/**
+ * VoxelCraft Optimized - Voxel Storage Tests
+ * Palette packing and run-length saves of VoxelStorage
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { VoxelStorage } = loadScripts(['js/engine/voxel-storage.js']);
+
+function assertSameVoxels(actual, expected) {
+    assert.strictEqual(actual.size, expected.size);
+    for (let i = 0; i < expected.volume; i++) {
+        assert.strictEqual(actual.get(i), expected.get(i), `voxel ${i}`);
+    }
+}
+
+test('a single block type saves as one run and loads back uniform', () => {
+    const storage = new VoxelStorage(16, 3);
+    const data = storage.serialize();
+    assert.deepStrictEqual(Array.from(data.runs), [4096, 3]);
+    
+    const loaded = VoxelStorage.deserialize(data);
+    assert.ok(loaded.isUniform);
+    assert.strictEqual(loaded.get(1234), 3);
+});
+
+test('mixed voxels round-trip through runs that cover the whole chunk', () => {
+    const storage = new VoxelStorage(8);
+    for (let i = 0; i < 200; i++) storage.set(i, 2);
+    storage.set(300, 7);
+    storage.set(511, 1000);
+    
+    const data = storage.serialize();
+    let total = 0;
+    for (let i = 0; i < data.runs.length; i += 2) total += data.runs[i];
+    assert.strictEqual(total, 512);
+    assert.deepStrictEqual(Array.from(data.runs), [200, 2, 100, 0, 1, 7, 210, 0, 1, 1000]);
+    
+    assertSameVoxels(VoxelStorage.deserialize(data), storage);
+});
+
+test('the palette widens past every entry size and keeps its voxels', () => {
+    const storage = new VoxelStorage(8);
+    const bits = new Set();
+    for (let i = 0; i < 512; i++) {
+        storage.set(i, i % 300 + 1);
+        bits.add(storage.bits);
+    }
+    assert.deepStrictEqual([...bits], [1, 2, 4, 8, 16]);
+    
+    for (let i = 0; i < 512; i++) {
+        assert.strictEqual(storage.get(i), i % 300 + 1);
+    }
+    assertSameVoxels(VoxelStorage.deserialize(storage.serialize()), storage);
+});
+
+test('filling every voxel with one block drops the palette', () => {
+    const storage = new VoxelStorage(4);
+    storage.set(5, 9);
+    assert.ok(!storage.isUniform);
+    
+    storage.set(5, 0);
+    assert.ok(storage.isUniform);
+    assert.strictEqual(storage.byteLength, 0);
+});
+
+test('set reports whether the voxel changed', () => {
+    const storage = new VoxelStorage(4);
+    assert.strictEqual(storage.set(0, 0), false);
+    assert.strictEqual(storage.set(0, 4), true);
+    assert.strictEqual(storage.set(0, 4), false);
+});
+
+test('countSolid counts everything but air', () => {
+    const storage = new VoxelStorage(4);
+    assert.strictEqual(storage.countSolid(), 0);
+    
+    storage.set(0, 1);
+    storage.set(1, 2);
+    assert.strictEqual(storage.countSolid(), 2);
+    assert.strictEqual(new VoxelStorage(4, 1).countSolid(), 64);
+});